@@ -0,0 +1,111 @@
+/**
+ * Floor boss registry
+ * One boss per arena, fought after the arena's last round and before the
+ * gate to the next floor opens.
+ *
+ * INVARIANT: Bosses are keyed by arenaId; an arena without an entry falls
+ *            back to DEFAULT_BOSS_ARENA's boss
+ * INVARIANT: Every boss has name, color, glowColor, health, speed, zoneDamage,
+ *            attacks and stages
+ * INVARIANT: health is scaled by the floor's enemyScaling.health and attack
+ *            damage by enemyScaling.damage, like regular droids
+ * INVARIANT: zoneDamage multiplies hits per boss part: 'weakpoint' (glowing
+ *            core and vents), 'armor' (plates and cannons) and 'torso' (the rest,
+ *            also used by melee and grenades)
+ * INVARIANT: stages are ordered; a stage starts once health falls to its `at`
+ *            share of the maximum. exposes lists weak points whose armor
+ *            plate is blown off when the stage starts
+ * INVARIANT: Stage attacks are used in order, skipping SUMMON while maxAdds
+ *            adds are alive and SLAM while the player is out of reach
+ * INVARIANT: speed is per frame at 60 fps (like ENEMY_SPEED); turnSpeed is
+ *            radians per second; windups, intervals and cooldowns are seconds
+ * INVARIANT: Bosses ignore EMP stuns
+ *
+ * DEPENDENCIES: Built by createBoss() in entities/boss.js, driven by
+ *               updateBoss() in core/update.js, chosen by main.js
+ */
+export const bosses = {
+    arena_alpha: {
+        name: 'Warden',
+        color: 0x3a4660,
+        glowColor: 0xffb300,
+        health: 2000,
+        speed: 0.018,
+        zoneDamage: { weakpoint: 2.5, armor: 0.3, torso: 0.6 },
+        attacks: {
+            BARRAGE: { volleys: 3, rounds: 5, spread: 0.5, interval: 0.45, damage: 6, speedFactor: 0.7 },
+            SUMMON: { windup: 0.8, archetypes: ['trooper', 'trooper'], maxAdds: 4 },
+            SLAM: { windup: 1.3, radius: 8, damage: 24 }
+        },
+        stages: [
+            { at: 1, attacks: ['BARRAGE', 'SUMMON'], cooldown: 2.8, turnSpeed: 0.9 },
+            { at: 0.66, exposes: ['core'], attacks: ['BARRAGE', 'SLAM', 'SUMMON'], cooldown: 2.2, turnSpeed: 1.1 },
+            { at: 0.33, attacks: ['SLAM', 'BARRAGE', 'SLAM', 'SUMMON'], cooldown: 1.6, turnSpeed: 1.3 }
+        ]
+    },
+    arena_beta: {
+        name: 'Siege Crawler',
+        color: 0x4a3a58,
+        glowColor: 0xff3d00,
+        health: 2300,
+        speed: 0.014,
+        zoneDamage: { weakpoint: 2.5, armor: 0.25, torso: 0.55 },
+        attacks: {
+            BARRAGE: { volleys: 4, rounds: 7, spread: 0.8, interval: 0.35, damage: 6, speedFactor: 0.65 },
+            SUMMON: { windup: 1.0, archetypes: ['rusher', 'rusher'], maxAdds: 4 },
+            SLAM: { windup: 1.4, radius: 9, damage: 26 }
+        },
+        stages: [
+            { at: 1, attacks: ['BARRAGE', 'BARRAGE', 'SUMMON'], cooldown: 2.6, turnSpeed: 0.7 },
+            { at: 0.6, exposes: ['core'], attacks: ['BARRAGE', 'SLAM', 'SUMMON'], cooldown: 2.1, turnSpeed: 0.9 },
+            { at: 0.3, attacks: ['BARRAGE', 'SLAM', 'BARRAGE', 'SUMMON'], cooldown: 1.5, turnSpeed: 1.1 }
+        ]
+    },
+    arena_gamma: {
+        name: 'Hive Overseer',
+        color: 0x2f4a4a,
+        glowColor: 0xd500f9,
+        health: 2500,
+        speed: 0.022,
+        zoneDamage: { weakpoint: 2.2, armor: 0.3, torso: 0.6 },
+        attacks: {
+            BARRAGE: { volleys: 3, rounds: 5, spread: 0.45, interval: 0.4, damage: 7, speedFactor: 0.8 },
+            SUMMON: { windup: 0.9, archetypes: ['drone', 'drone', 'rusher'], maxAdds: 5 },
+            SLAM: { windup: 1.2, radius: 8, damage: 24 }
+        },
+        stages: [
+            { at: 1, attacks: ['SUMMON', 'BARRAGE'], cooldown: 2.6, turnSpeed: 1.0 },
+            { at: 0.66, exposes: ['core'], attacks: ['BARRAGE', 'SUMMON', 'SLAM'], cooldown: 2.1, turnSpeed: 1.2 },
+            { at: 0.33, attacks: ['SLAM', 'SUMMON', 'BARRAGE', 'SLAM'], cooldown: 1.5, turnSpeed: 1.4 }
+        ]
+    },
+    arena_delta: {
+        name: 'Titan',
+        color: 0x55483a,
+        glowColor: 0x00e5ff,
+        health: 3000,
+        speed: 0.016,
+        zoneDamage: { weakpoint: 2.5, armor: 0.2, torso: 0.5 },
+        attacks: {
+            BARRAGE: { volleys: 4, rounds: 6, spread: 0.6, interval: 0.35, damage: 8, speedFactor: 0.8 },
+            SUMMON: { windup: 1.0, archetypes: ['shielded', 'sniper', 'rusher'], maxAdds: 5 },
+            SLAM: { windup: 1.1, radius: 10, damage: 30 }
+        },
+        stages: [
+            { at: 1, attacks: ['BARRAGE', 'SLAM', 'SUMMON'], cooldown: 2.4, turnSpeed: 0.9 },
+            { at: 0.66, exposes: ['core'], attacks: ['BARRAGE', 'SLAM', 'BARRAGE', 'SUMMON'], cooldown: 1.9, turnSpeed: 1.1 },
+            { at: 0.33, attacks: ['SLAM', 'BARRAGE', 'SLAM', 'SUMMON'], cooldown: 1.3, turnSpeed: 1.4 }
+        ]
+    }
+};
+
+export const DEFAULT_BOSS_ARENA = 'arena_alpha';
+
+/**
+ * Boss fought at the end of an arena
+ * @param {string} arenaId - Arena id from levels.js
+ * @returns {Object} Boss definition
+ */
+export function getBossForArena(arenaId) {
+    return bosses[arenaId] || bosses[DEFAULT_BOSS_ARENA];
+}
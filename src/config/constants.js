@@ -28,6 +28,15 @@ export const PLAYER_SPEED = 0.2;          // Movement speed per frame
 export const WORLD_WIDTH = 50;            // Arena width in meters
 export const WORLD_DEPTH = 50;            // Arena depth in meters
 
+/**
+ * Spread stance modifiers
+ * Multiply weapon spread on top of aim and bloom
+ */
+export const SPREAD_MOVE_BONUS = 1.2;     // Extra spread at full movement speed
+export const SPREAD_SPRINT_MULTIPLIER = 1.8; // While sprinting
+export const SPREAD_AIRBORNE_MULTIPLIER = 2.5; // While jumping or falling
+export const SPREAD_CROUCH_MULTIPLIER = 0.6; // While crouched
+
 /**
  * Game state defaults
  * Initial values for game progression
@@ -0,0 +1,121 @@
+/**
+ * Droid archetype registry
+ * Each archetype has its own mesh variant, stats and AI tuning; rounds mix
+ * them by floor and round.
+ *
+ * INVARIANT: Every archetype has name, mesh, glowColor, health, stats, attack,
+ *            squadRoles and spawn
+ * INVARIANT: stats are multipliers on the round's base enemy speed, damage,
+ *            fireRate (ms between shots) and range
+ * INVARIANT: attack.type is BLASTER, CHARGED_LASER or MELEE; chargeTime and
+ *            cooldowns are in seconds, meleeRange in meters (horizontal)
+ * INVARIANT: retreatDistance is how close the player may get before the
+ *            droid backs off while engaging (0 = never)
+ * INVARIANT: shield blocks rounds that strike the shield part and scales
+ *            melee damage from inside its frontal arc (degrees either side)
+ * INVARIANT: hoverHeight > 0 flies at that height above the floor, clear of
+ *            cover but not of arena or safe room walls, and skips the nav grid
+ * INVARIANT: hitbox ({ halfWidth, height } in meters) replaces the default
+ *            broadphase box for archetypes with parts reaching further out;
+ *            it must enclose every part at any facing
+ * INVARIANT: squadRoles lists the squad roles the archetype may be given
+ * INVARIANT: spawn.share is the fraction of a round's droids, growing by
+ *            sharePerFloor and capped at maxShare; trooper fills the rest
+ *
+ * DEPENDENCIES: Used by createDroids() in entities/droid.js and by
+ *               updateEnemies()/updateBullets() in core/update.js
+ */
+export const droidArchetypes = {
+    trooper: {
+        name: 'Trooper',
+        mesh: 'TROOPER',
+        glowColor: 0x00ff00,
+        health: 100,
+        stats: { speed: 1, damage: 1, fireRate: 1, range: 1 },
+        attack: { type: 'BLASTER' },
+        retreatDistance: 3.2,
+        squadRoles: ['SUPPRESSOR', 'FLANKER', 'REAR_GUARD'],
+        spawn: null
+    },
+    rusher: {
+        name: 'Rusher',
+        mesh: 'RUSHER',
+        glowColor: 0xff7a00,
+        health: 80,
+        stats: { speed: 1.6, damage: 1.8, fireRate: 1, range: 1 },
+        attack: { type: 'MELEE', meleeRange: 1.6, cooldown: 0.9 },
+        retreatDistance: 0,
+        hitbox: { halfWidth: 1.1, height: 2.2 },   // Blade tips
+        squadRoles: ['FLANKER'],
+        spawn: { minFloor: 1, minRound: 2, share: 0.15, sharePerFloor: 0.05, maxShare: 0.3 }
+    },
+    sniper: {
+        name: 'Sniper',
+        mesh: 'SNIPER',
+        glowColor: 0xff1744,
+        health: 70,
+        stats: { speed: 0.8, damage: 2.6, fireRate: 3, range: 2.2 },
+        attack: { type: 'CHARGED_LASER', chargeTime: 1.3, bulletSpeedFactor: 3 },
+        retreatDistance: 10,
+        hitbox: { halfWidth: 1.3, height: 2.2 },   // Rifle barrel tip
+        squadRoles: ['SUPPRESSOR', 'REAR_GUARD'],
+        spawn: { minFloor: 1, minRound: 3, share: 0.12, sharePerFloor: 0.04, maxShare: 0.25 }
+    },
+    shielded: {
+        name: 'Shielded',
+        mesh: 'SHIELDED',
+        glowColor: 0x00e5ff,
+        health: 140,
+        stats: { speed: 0.75, damage: 1, fireRate: 1.2, range: 0.9 },
+        attack: { type: 'BLASTER' },
+        retreatDistance: 0,
+        shield: { arc: 70, meleeScale: 0.25 },
+        hitbox: { halfWidth: 1.1, height: 2.2 },   // Shield plate corners
+        squadRoles: ['SUPPRESSOR', 'REAR_GUARD'],
+        spawn: { minFloor: 2, minRound: 1, share: 0.15, sharePerFloor: 0.05, maxShare: 0.3 }
+    },
+    drone: {
+        name: 'Hover Drone',
+        mesh: 'DRONE',
+        glowColor: 0xd500f9,
+        health: 55,
+        stats: { speed: 1.2, damage: 0.7, fireRate: 0.8, range: 1 },
+        attack: { type: 'BLASTER' },
+        retreatDistance: 4,
+        hoverHeight: 2.0,
+        hitbox: { halfWidth: 1.35, height: 1.0 },  // Rotor tips; measured up from the hover height
+        squadRoles: ['FLANKER'],
+        spawn: { minFloor: 3, minRound: 1, share: 0.15, sharePerFloor: 0.05, maxShare: 0.3 }
+    }
+};
+
+export const DEFAULT_ARCHETYPE = 'trooper';
+
+// Rushers and drones come first so they take the pursuer slots in createDroids
+const SPAWN_ORDER = ['rusher', 'drone', 'trooper', 'shielded', 'sniper'];
+
+/**
+ * Archetype for each droid of a round
+ * @param {number} count - Droids in the round
+ * @param {number} floor - Current floor
+ * @param {number} round - Global round number
+ * @returns {Array<string>} Archetype keys, rushers and drones first
+ */
+export function pickArchetypes(count, floor, round) {
+    const counts = { [DEFAULT_ARCHETYPE]: count };
+
+    Object.entries(droidArchetypes).forEach(([key, archetype]) => {
+        const spawn = archetype.spawn;
+        if (!spawn || floor < spawn.minFloor || round < spawn.minRound) return;
+
+        const share = Math.min(spawn.maxShare, spawn.share + spawn.sharePerFloor * (floor - spawn.minFloor));
+        const wanted = Math.max(1, Math.floor(count * share));
+        const taken = Math.min(wanted, counts[DEFAULT_ARCHETYPE] - 1);
+        if (taken <= 0) return;
+
+        counts[key] = taken;
+        counts[DEFAULT_ARCHETYPE] -= taken;
+    });
+
+    return SPAWN_ORDER.flatMap(key => Array(counts[key] || 0).fill(key));
+}
@@ -0,0 +1,37 @@
+/**
+ * Impact effect quality presets
+ * Caps for the pooled sparks, debris and scorch decals in impact-effects.js.
+ *
+ * INVARIANT: maxParticles and maxDecals are hard caps; when a pool is full
+ *            the oldest entry is recycled rather than allocating more
+ * INVARIANT: Per-event counts are upper bounds and are scaled down further
+ *            while a pool is more than half full
+ * INVARIANT: Lifetimes are in seconds
+ *
+ * DEPENDENCIES: Used by initImpactEffects() in effects/impact-effects.js
+ */
+export const EFFECT_QUALITY_PRESETS = {
+    low: {
+        maxParticles: 96,
+        maxDecals: 24,
+        sparksPerImpact: 3,
+        debrisPerHit: 2,
+        decalLifetime: 6
+    },
+    medium: {
+        maxParticles: 256,
+        maxDecals: 64,
+        sparksPerImpact: 6,
+        debrisPerHit: 4,
+        decalLifetime: 12
+    },
+    high: {
+        maxParticles: 512,
+        maxDecals: 128,
+        sparksPerImpact: 10,
+        debrisPerHit: 6,
+        decalLifetime: 20
+    }
+};
+
+export const DEFAULT_EFFECT_QUALITY = 'high';
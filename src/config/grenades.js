@@ -0,0 +1,63 @@
+/**
+ * Grenade configuration constants
+ * Defines the throwable types carried in the grenade slot.
+ *
+ * INVARIANT: Every grenade has name, label, fuse, throwSpeed, radius and color
+ * INVARIANT: fuse and all durations are in seconds; speeds are in units/second
+ * INVARIANT: frag damage falls off linearly from the center to minFalloff at
+ *            the edge of radius, and needs line of sight from the blast
+ * INVARIANT: emp stuns droid AI inside radius for stunDuration (ignores cover)
+ * INVARIANT: smoke grows to radius over spreadTime, then lingers for
+ *            duration, blocking droid line of sight and dimming light telemetry
+ * INVARIANT: maxCarry caps each type; pickupAmount is granted per pickup
+ *
+ * DEPENDENCIES: Used by throwGrenade() in game.js and updateGrenades() in update.js
+ * DEPENDENCIES: Referenced by intermission pickups and the HUD grenade readout
+ */
+export const grenades = {
+    frag: {
+        name: 'Frag Grenade',
+        label: 'FRAG',
+        fuse: 2.2,
+        throwSpeed: 16,
+        radius: 6,            // Blast radius in meters
+        damage: 120,          // Damage at the center of the blast
+        minFalloff: 0.2,      // Damage multiplier at the edge of the blast
+        selfDamage: 0.5,      // Share of damage dealt to the player in range
+        maxCarry: 3,
+        pickupAmount: 2,
+        color: 0x55ff55
+    },
+    emp: {
+        name: 'EMP Grenade',
+        label: 'EMP',
+        fuse: 1.6,
+        throwSpeed: 16,
+        radius: 7,
+        stunDuration: 4.5,    // Droid AI frozen for this long
+        maxCarry: 2,
+        pickupAmount: 1,
+        color: 0x4fc3ff
+    },
+    smoke: {
+        name: 'Smoke Grenade',
+        label: 'SMOKE',
+        fuse: 1.2,
+        throwSpeed: 14,
+        radius: 4.5,
+        spreadTime: 1.0,      // Seconds for the cloud to reach full size
+        duration: 9,          // Seconds the cloud lingers at full size
+        maxCarry: 2,
+        pickupAmount: 1,
+        color: 0xbfc4cc
+    }
+};
+
+export const GRENADE_TYPES = Object.keys(grenades);
+
+export function createGrenadeCounts() {
+    return GRENADE_TYPES.reduce((counts, type) => {
+        counts[type] = 0;
+        return counts;
+    }, {});
+}
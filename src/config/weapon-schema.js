@@ -0,0 +1,299 @@
+/**
+ * Weapon definition schema
+ * Validates the JSON weapon files in config/weapons/ and normalizes them into
+ * the definition objects the game reads.
+ *
+ * INTENT: A bad balance edit fails loudly at load with every problem listed,
+ *         instead of surfacing as NaN damage mid-round
+ *
+ * INVARIANT: Unknown fields are errors (catches typos such as "dammage")
+ * INVARIANT: Colors are "#rrggbb" strings in JSON and numbers after validation
+ * INVARIANT: Melee arcs are written as arcDegrees and exposed as arc (radians)
+ * INVARIANT: Definitions are static; magazines, heat and other runtime state
+ *            live in main.js/game.js, never on these objects
+ */
+
+const FIRE_MODE_PATTERN = /^(auto|semi|burst-[1-9]\d*)$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const number = (min, extra = {}) => ({ type: 'number', min, ...extra });
+const integer = (min, extra = {}) => ({ type: 'integer', min, ...extra });
+const required = spec => ({ ...spec, required: true });
+
+const COMMON_FIELDS = {
+    type: required({ type: 'enum', values: ['ranged', 'melee'] }),
+    name: required({ type: 'string' }),
+    slot: required(integer(1, { max: 9 })),         // Digit key used to equip
+    startUnlocked: { type: 'boolean' },               // Selectable on the start screen
+    unlockColor: { type: 'color' },                   // Unlock pickup color
+    fireMode: required({ type: 'fireMode' }),        // Default trigger mode
+    fireModes: { type: 'array', items: { type: 'fireMode' }, minLength: 1 },
+    damage: required(number(0)),
+    fireRate: required(number(1)),                   // ms between shots/swings
+    range: required(number(0)),                      // meters (reach for melee)
+    ads: required({
+        type: 'object',
+        fields: {
+            fov: required(number(1, { max: 120 })),
+            sensitivity: required(number(0.01, { max: 2 })),
+            spreadMultiplier: required(number(0)),
+            time: required(number(0.01)),            // seconds to fully aim
+            scope: { type: 'boolean' },
+            sway: number(0)                          // radians of scope drift
+        }
+    }),
+    color: required({ type: 'color' })
+};
+
+const RANGED_FIELDS = {
+    maxAmmo: required(integer(1)),
+    reserveAmmo: required(integer(0)),
+    maxReserve: required(integer(0)),
+    reloadTime: required(number(0)),
+    tacticalReloadTime: required(number(0)),
+    spread: required(number(0)),
+    falloff: {
+        type: 'object',
+        fields: {
+            start: required(number(0)),
+            end: required(number(0)),
+            startMultiplier: number(0),
+            endMultiplier: number(0)
+        }
+    },
+    bloom: {
+        type: 'object',
+        fields: {
+            perShot: required(number(0)),
+            max: required(number(0)),
+            recovery: required(number(0))
+        }
+    },
+    recoil: {
+        type: 'object',
+        fields: {
+            pattern: required({
+                type: 'array',
+                minLength: 1,
+                items: { type: 'array', minLength: 2, maxLength: 2, items: { type: 'number' } }
+            }),
+            jitter: required(number(0)),
+            recovery: required(number(0, { max: 1 })),
+            resetTime: required(number(0))
+        }
+    },
+    zoneMultipliers: {
+        type: 'object',
+        fields: {
+            head: number(0),
+            core: number(0),
+            torso: number(0),
+            arm: number(0),
+            leg: number(0)
+        }
+    },
+    penetration: {
+        type: 'object',
+        fields: {
+            depth: required(number(0)),              // meters of wall a round can pass
+            targets: required(integer(1)),           // droids one round can hit
+            targetLoss: required(number(0, { max: 1 })),  // damage share lost per droid passed
+            wallLoss: required(number(0, { max: 1 }))     // damage share lost per meter of wall
+        }
+    },
+    pellets: integer(1),
+    hitscan: { type: 'boolean' },
+    projectileSpeed: number(1),
+    muzzleOffset: number(0),
+    spinUp: number(1),
+    spinDown: number(1),
+    heatPerShot: number(0, { max: 1 }),
+    coolRate: number(0),
+    overheatLockout: number(0),
+    tracerWidth: required(number(0)),
+    tracerLength: required(number(0))
+};
+
+const MELEE_FIELDS = {
+    arcDegrees: required(number(1, { max: 360 })),
+    windup: required(number(0)),
+    lunge: required(number(0)),
+    maxTargets: required(integer(1))
+};
+
+/**
+ * Thrown when weapon JSON fails validation; errors lists every problem found
+ */
+export class WeaponDefinitionError extends Error {
+    constructor(source, errors) {
+        super(`Invalid weapon definition ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'WeaponDefinitionError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'string') return `"${value}"`;
+    if (typeof value === 'object') return 'an object';
+    return String(value);
+}
+
+function checkRange(path, spec, value, errors) {
+    if (spec.min !== undefined && value < spec.min) {
+        errors.push(`${path} must be >= ${spec.min} (got ${value})`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        errors.push(`${path} must be <= ${spec.max} (got ${value})`);
+    }
+}
+
+function checkFields(path, fields, value, errors) {
+    const prefix = path ? `${path}.` : '';
+
+    Object.keys(value).forEach(key => {
+        if (!fields[key]) {
+            errors.push(`${prefix}${key} is not a known field`);
+        }
+    });
+
+    Object.entries(fields).forEach(([key, spec]) => {
+        if (value[key] === undefined) {
+            if (spec.required) errors.push(`${prefix}${key} is required`);
+            return;
+        }
+        checkValue(`${prefix}${key}`, spec, value[key], errors);
+    });
+}
+
+function checkValue(path, spec, value, errors) {
+    switch (spec.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${path} must be a number (got ${describe(value)})`);
+            } else if (spec.type === 'integer' && !Number.isInteger(value)) {
+                errors.push(`${path} must be a whole number (got ${value})`);
+            } else {
+                checkRange(path, spec, value, errors);
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string' || value.trim() === '') {
+                errors.push(`${path} must be a non-empty string (got ${describe(value)})`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push(`${path} must be true or false (got ${describe(value)})`);
+            }
+            break;
+        case 'enum':
+            if (!spec.values.includes(value)) {
+                errors.push(`${path} must be one of ${spec.values.join(', ')} (got ${describe(value)})`);
+            }
+            break;
+        case 'color':
+            if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+                errors.push(`${path} must be a "#rrggbb" color (got ${describe(value)})`);
+            }
+            break;
+        case 'fireMode':
+            if (typeof value !== 'string' || !FIRE_MODE_PATTERN.test(value)) {
+                errors.push(`${path} must be "auto", "semi" or "burst-N" (got ${describe(value)})`);
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path} must be an array (got ${describe(value)})`);
+                break;
+            }
+            if (spec.minLength !== undefined && value.length < spec.minLength) {
+                errors.push(`${path} needs at least ${spec.minLength} entries`);
+            }
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+                errors.push(`${path} allows at most ${spec.maxLength} entries`);
+            }
+            value.forEach((item, i) => checkValue(`${path}[${i}]`, spec.items, item, errors));
+            break;
+        case 'object':
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path} must be an object (got ${describe(value)})`);
+                break;
+            }
+            checkFields(path, spec.fields, value, errors);
+            break;
+    }
+}
+
+// Relationships a per-field check cannot see
+function checkConsistency(data, errors) {
+    if (data.fireModes && data.fireMode && !data.fireModes.includes(data.fireMode)) {
+        errors.push(`fireModes must include the default fireMode "${data.fireMode}"`);
+    }
+    if (data.type !== 'ranged') return;
+
+    if (data.tacticalReloadTime > data.reloadTime) {
+        errors.push('tacticalReloadTime must not be longer than reloadTime');
+    }
+    if (data.reserveAmmo > data.maxReserve) {
+        errors.push('reserveAmmo must not exceed maxReserve');
+    }
+    if (data.falloff && data.falloff.end <= data.falloff.start) {
+        errors.push('falloff.end must be greater than falloff.start');
+    }
+    if ((data.spinUp === undefined) !== (data.spinDown === undefined)) {
+        errors.push('spinUp and spinDown must be set together');
+    }
+    if (data.heatPerShot !== undefined && (data.coolRate === undefined || data.overheatLockout === undefined)) {
+        errors.push('heatPerShot needs coolRate and overheatLockout');
+    }
+}
+
+function parseColor(value) {
+    return value === undefined ? undefined : parseInt(value.slice(1), 16);
+}
+
+/**
+ * Validates one weapon JSON object and returns its normalized definition
+ * @param {string} id - Weapon key (file name without extension)
+ * @param {*} data - Parsed JSON
+ * @param {string} source - File the data came from, for error messages
+ * @returns {Object} Definition with numeric colors and arc in radians
+ * @throws {WeaponDefinitionError} Listing every invalid field
+ */
+export function validateWeaponDefinition(id, data, source = `"${id}"`) {
+    const errors = [];
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        throw new WeaponDefinitionError(source, [`expected a JSON object (got ${describe(data)})`]);
+    }
+
+    // The type decides which other fields are allowed, so check it first
+    const kindFields = { ranged: RANGED_FIELDS, melee: MELEE_FIELDS }[data.type];
+    if (!kindFields) {
+        checkValue('type', COMMON_FIELDS.type, data.type, errors);
+        throw new WeaponDefinitionError(source, errors);
+    }
+
+    checkFields('', { ...COMMON_FIELDS, ...kindFields }, data, errors);
+    if (errors.length === 0) {
+        checkConsistency(data, errors);
+    }
+
+    if (errors.length > 0) {
+        throw new WeaponDefinitionError(source, errors);
+    }
+
+    const definition = {
+        ...data,
+        color: parseColor(data.color),
+        unlockColor: parseColor(data.unlockColor)
+    };
+    if (data.type === 'melee') {
+        definition.arc = (data.arcDegrees * Math.PI) / 180;
+    }
+    return definition;
+}
@@ -1,49 +1,169 @@
 /**
- * Weapon configuration constants
- * Defines the three selectable weapon types with their unique characteristics.
+ * Weapon registry
+ * Weapon definitions live in config/weapons/<id>.json (listed, in card order,
+ * by config/weapons/manifest.json) and are validated by weapon-schema.js.
  * 
- * INVARIANT: All weapons must have consistent property set for UI rendering
- * INVARIANT: Fire rate is in milliseconds between shots (lower = faster)
+ * INVARIANT: Every weapon has type, name, slot, damage, fireRate and range
+ * INVARIANT: Ranged weapons also carry ammo, reserve, reload, spread and tracer properties
+ * INVARIANT: reloadTime applies to an empty magazine; tacticalReloadTime (shorter)
+ *            applies when rounds are still chambered. Both are in milliseconds
+ * INVARIANT: Melee weapons carry arc, windup, lunge and maxTargets instead
+ * INVARIANT: muzzleOffset (meters) alternates shots between left/right muzzles
+ * INVARIANT: spinUp/spinDown are in ms; heat values are fractions of a full meter
+ * INVARIANT: Fire rate is in milliseconds between shots/swings (lower = faster)
+ * INVARIANT: fireMode is 'auto', 'semi' or 'burst-N'; fireModes lists the modes
+ *            the player can cycle through (first entry need not be the default)
  * INVARIANT: Spread is in radians - affects bullet trajectory randomization
  * INVARIANT: Tracer properties control visual bullet representation
+ * INVARIANT: falloff scales damage linearly from startMultiplier (default 1) at
+ *            `start` meters to endMultiplier at `end` meters, clamped outside
+ * INVARIANT: ads (right mouse) sets the zoomed fov, a look sensitivity and spread
+ *            multiplier, and the transition time in seconds; scope adds the
+ *            full-screen overlay and sway is its drift amplitude in radians
+ * INVARIANT: bloom grows the spread multiplier by perShot for each shot up to
+ *            max, and sheds recovery per second
+ * INVARIANT: recoil.pattern lists [pitch, yaw] camera kicks in radians per shot
+ *            of a spray (the last entry repeats); jitter adds random yaw,
+ *            recovery is the fraction of pitch pulled back after the spray and
+ *            resetTime (ms without firing) restarts the pattern
+ * INVARIANT: zoneMultipliers scale damage per droid part (head, core, torso,
+ *            arm, leg); missing zones count as 1.0
+ * INVARIANT: penetration lets a round carry on through up to `depth` meters of
+ *            wall (obstacles thicker than what is left stop it) and through
+ *            droids until it has hit `targets` of them; it loses targetLoss of
+ *            its damage per droid and wallLoss per meter of wall. Without it a
+ *            round stops on the first thing it hits
+ * INVARIANT: projectileSpeed is in units/second (defaults to 60); hitscan
+ *            weapons resolve the whole range instantly instead of travelling
+ * INVARIANT: Definitions are frozen once registered; magazines and other
+ *            per-weapon runtime state are created from them, never stored on them
+ * INVARIANT: `weapons` is empty until loadWeaponRegistry() resolves
  * 
  * DEPENDENCIES: Used by fireWeapon(), createBullet(), reloadWeapon()
- * DEPENDENCIES: Referenced by startGame() for initial ammo setup
+ * DEPENDENCIES: Referenced by main.js for ammo setup, weapon cards and key slots
  * DEPENDENCIES: Referenced by HUD update for ammo display
  */
-export const weapons = {
-    rifle: {
-        damage: 20,           // Moderate damage per shot
-        fireRate: 150,        // 150ms between shots (~6.6 shots/sec)
-        range: 100,           // Effective range in meters
-        maxAmmo: 30,          // Magazine capacity
-        ammo: 30,             // Current ammo (starts full)
-        spread: 0.05,         // Slight accuracy variance
-        color: 0x00ff00,      // Green tracer
-        tracerWidth: 0.05,    // Visual tracer thickness
-        tracerLength: 1.0     // Visual tracer length
-    },
-    shotgun: {
-        damage: 10,           // Low per-pellet damage
-        fireRate: 800,        // 800ms between shots (slow)
-        range: 30,            // Short effective range
-        maxAmmo: 8,           // Shell capacity
-        ammo: 8,              // Current ammo
-        spread: 0.2,          // Wide pellet spread
-        pellets: 8,           // Number of pellets per shot
-        color: 0xff0000,      // Red tracer
-        tracerWidth: 0.1,     // Thicker tracers for visibility
-        tracerLength: 0.5     // Shorter tracers
-    },
-    sniper: {
-        damage: 80,           // High damage per shot
-        fireRate: 1200,       // 1200ms between shots (very slow)
-        range: 200,           // Long effective range
-        maxAmmo: 5,           // Small magazine
-        ammo: 5,              // Current ammo
-        spread: 0.01,         // Very accurate
-        color: 0x0000ff,      // Blue tracer
-        tracerWidth: 0.03,    // Thin tracer
-        tracerLength: 2.0     // Long tracer for visibility
+import { validateWeaponDefinition, WeaponDefinitionError } from './weapon-schema.js';
+
+const MANIFEST_URL = new URL('./weapons/manifest.json', import.meta.url);
+
+export const weapons = {};
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
     }
-};
\ No newline at end of file
+    return value;
+}
+
+/**
+ * Validates and registers weapon definitions, replacing any previous set
+ * @param {Array<{id: string, data: Object, source?: string}>} entries - Parsed weapon JSON in card order
+ * @throws {WeaponDefinitionError} On the first invalid file, or on clashes between files
+ */
+export function registerWeapons(entries) {
+    const definitions = {};
+    const slots = new Map();
+
+    entries.forEach(({ id, data, source = `"${id}"` }) => {
+        if (definitions[id]) {
+            throw new WeaponDefinitionError(source, [`weapon id "${id}" is defined twice`]);
+        }
+
+        const definition = validateWeaponDefinition(id, data, source);
+        if (slots.has(definition.slot)) {
+            throw new WeaponDefinitionError(source, [
+                `slot ${definition.slot} is already used by "${slots.get(definition.slot)}"`
+            ]);
+        }
+
+        slots.set(definition.slot, id);
+        definitions[id] = deepFreeze(definition);
+    });
+
+    if (!Object.values(definitions).some(definition => definition.startUnlocked)) {
+        throw new WeaponDefinitionError('manifest', ['at least one weapon needs "startUnlocked": true']);
+    }
+
+    Object.keys(weapons).forEach(key => delete weapons[key]);
+    Object.assign(weapons, definitions);
+}
+
+async function fetchJson(url, source) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new WeaponDefinitionError(source, [`could not be loaded (HTTP ${response.status})`]);
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new WeaponDefinitionError(source, [`is not valid JSON: ${error.message}`]);
+    }
+}
+
+/**
+ * Loads every weapon file listed in the manifest and registers it
+ * @returns {Promise<Object>} The populated weapons registry
+ */
+export async function loadWeaponRegistry() {
+    const manifest = await fetchJson(MANIFEST_URL, 'weapons/manifest.json');
+    if (!Array.isArray(manifest.weapons) || manifest.weapons.length === 0) {
+        throw new WeaponDefinitionError('weapons/manifest.json', ['"weapons" must list at least one weapon id']);
+    }
+
+    const entries = await Promise.all(manifest.weapons.map(async id => {
+        const source = `weapons/${id}.json`;
+        const data = await fetchJson(new URL(`./weapons/${id}.json`, import.meta.url), source);
+        return { id, data, source };
+    }));
+
+    registerWeapons(entries);
+    return weapons;
+}
+
+export function getStartUnlockedWeapons() {
+    return new Set(Object.keys(weapons).filter(key => weapons[key].startUnlocked));
+}
+
+export function isMeleeWeapon(weaponType) {
+    return weapons[weaponType]?.type === 'melee';
+}
+
+export function getFireModes(weaponType) {
+    const weapon = weapons[weaponType];
+    return weapon.fireModes || [weapon.fireMode];
+}
+
+export function parseFireMode(mode) {
+    if (mode && mode.startsWith('burst-')) {
+        return { kind: 'burst', count: Math.max(1, parseInt(mode.slice(6), 10) || 1) };
+    }
+    return { kind: mode === 'auto' ? 'auto' : 'semi', count: 1 };
+}
+
+export function getFalloffMultiplier(falloff, distance) {
+    if (!falloff) return 1;
+
+    const startMultiplier = falloff.startMultiplier ?? 1;
+    const endMultiplier = falloff.endMultiplier ?? 1;
+    if (distance <= falloff.start) return startMultiplier;
+    if (distance >= falloff.end) return endMultiplier;
+
+    const t = (distance - falloff.start) / (falloff.end - falloff.start);
+    return startMultiplier + (endMultiplier - startMultiplier) * t;
+}
+
+// Damage of one trigger pull (all pellets, torso hit) at a distance
+export function getEffectiveDamage(weaponType, distance) {
+    const weapon = weapons[weaponType];
+    if (distance > weapon.range) return 0;
+
+    const pellets = weapon.pellets || 1;
+    return weapon.damage * pellets * getFalloffMultiplier(weapon.falloff, distance);
+}
+
+export function getWeaponForSlot(slot) {
+    return Object.keys(weapons).find(key => weapons[key].slot === slot) || null;
+}
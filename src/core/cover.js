@@ -0,0 +1,168 @@
+/**
+ * Cover points
+ * Spots along the sides of the arena's cover blocks, baked once per arena,
+ * that droids under fire move to, peek out of and abandon when flanked.
+ *
+ * INTENT: Droids use the cover placed in createEnvironment instead of
+ *         standing in the open and only backing away up close
+ *
+ * INVARIANT: Points sit COVER_OFFSET meters out from a block face, just past
+ *            the nav grid's clearance, and only walkable points are kept
+ * INVARIANT: Peek spots are on the same line, just past either end of the
+ *            face, so stepping out always clears the block itself
+ * INVARIANT: A point only counts as cover from a threat while its own block
+ *            stands between the threat and a crouched droid on the point
+ * INVARIANT: A point holds one droid; a claim by a droid that has left the
+ *            scene (destroyed) no longer counts
+ *
+ * DEPENDENCIES: Baked by createEnvironment() in world.js (mapMeta.coverPoints),
+ *               used by the TAKE_COVER state in updateEnemies() (update.js)
+ */
+
+import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+import { isNavWalkable } from './navigation.js';
+
+const COVER_OFFSET = 1.8;             // Meters out from the block face
+const COVER_SPACING = 1.6;            // Meters between points along a face
+const COVER_CHECK_HEIGHT = 0.9;       // Height of the droid part that must be hidden
+const COVER_PEEK_MARGIN = 0.8;        // How far past the block's edge a droid steps to shoot
+const COVER_MIN_THREAT_DISTANCE = 5;  // Points closer to the player than this are skipped
+const COVER_THREAT_WEIGHT = 0.5;      // Cost per meter a point is closer to the player than the droid
+
+/**
+ * Samples cover points around each cover block
+ * @param {Array<THREE.Object3D>} blocks - Cover blocks
+ * @param {Object} grid - Nav grid from createNavGrid()
+ * @returns {Array<Object>} Points { id, x, z, normal, peekSpots, box, occupant }
+ */
+export function createCoverPoints(blocks, grid) {
+    const points = [];
+
+    blocks.forEach(block => {
+        const box = new THREE.Box3().setFromObject(block);
+        const sizeX = box.max.x - box.min.x;
+        const sizeZ = box.max.z - box.min.z;
+        const faces = [
+            { normal: { x: 1, z: 0 }, along: sizeZ },
+            { normal: { x: -1, z: 0 }, along: sizeZ },
+            { normal: { x: 0, z: 1 }, along: sizeX },
+            { normal: { x: 0, z: -1 }, along: sizeX }
+        ];
+
+        faces.forEach(({ normal, along }) => {
+            const tangent = { x: -normal.z, z: normal.x };
+            const faceX = normal.x === 0 ? block.position.x : normal.x > 0 ? box.max.x : box.min.x;
+            const faceZ = normal.z === 0 ? block.position.z : normal.z > 0 ? box.max.z : box.min.z;
+            const count = Math.max(1, Math.floor(along / COVER_SPACING));
+            const lineX = faceX + normal.x * COVER_OFFSET;
+            const lineZ = faceZ + normal.z * COVER_OFFSET;
+            const peekSpots = [1, -1].map(side => ({
+                x: lineX + tangent.x * side * (along / 2 + COVER_PEEK_MARGIN),
+                z: lineZ + tangent.z * side * (along / 2 + COVER_PEEK_MARGIN)
+            })).filter(spot => isNavWalkable(grid, spot.x, spot.z));
+
+            for (let i = 0; i < count; i++) {
+                const slide = (i - (count - 1) / 2) * COVER_SPACING;
+                const x = lineX + tangent.x * slide;
+                const z = lineZ + tangent.z * slide;
+                if (!isNavWalkable(grid, x, z)) continue;
+
+                points.push({ id: points.length, x, z, normal, peekSpots, box, occupant: null });
+            }
+        });
+    });
+
+    log(CATEGORIES.AI_STATE, LEVELS.DEBUG, 'Cover points baked', {
+        blocks: blocks.length,
+        points: points.length
+    });
+    return points;
+}
+
+/**
+ * Whether the point's block hides a droid on it from the threat
+ * @param {Object} point - Cover point
+ * @param {THREE.Vector3} threat - Player position
+ * @returns {boolean}
+ */
+export function isCoveredFrom(point, threat) {
+    const target = new THREE.Vector3(point.x, COVER_CHECK_HEIGHT, point.z);
+    const direction = new THREE.Vector3().subVectors(target, threat);
+    const length = direction.length();
+    if (length < 0.001) return false;
+
+    const ray = new THREE.Ray(threat, direction.divideScalar(length));
+    const entry = ray.intersectBox(point.box, new THREE.Vector3());
+    return Boolean(entry) && entry.distanceTo(threat) < length;
+}
+
+function isTaken(point, droid) {
+    return Boolean(point.occupant) && point.occupant !== droid && Boolean(point.occupant.parent);
+}
+
+/**
+ * Closest free point that hides the droid from the threat, preferring points
+ * that do not bring it nearer the player
+ * @param {Array<Object>} points - mapMeta.coverPoints
+ * @param {THREE.Object3D} droid - Droid looking for cover
+ * @param {THREE.Vector3} threat - Player position
+ * @param {number} maxDistance - Furthest the droid will run
+ * @param {Object|null} exclude - Point being abandoned
+ * @returns {Object|null}
+ */
+export function findCoverPoint(points, droid, threat, maxDistance, exclude = null) {
+    const droidThreatDistance = Math.hypot(threat.x - droid.position.x, threat.z - droid.position.z);
+    let best = null;
+    let bestCost = Infinity;
+
+    points.forEach(point => {
+        if (point === exclude || isTaken(point, droid)) return;
+
+        const distance = Math.hypot(point.x - droid.position.x, point.z - droid.position.z);
+        const threatDistance = Math.hypot(point.x - threat.x, point.z - threat.z);
+        if (distance > maxDistance || threatDistance < COVER_MIN_THREAT_DISTANCE) return;
+        if (!isCoveredFrom(point, threat)) return;
+
+        const cost = distance + Math.max(0, droidThreatDistance - threatDistance) * COVER_THREAT_WEIGHT;
+        if (cost < bestCost) {
+            best = point;
+            bestCost = cost;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Claims a point for a droid, releasing any point it held before
+ * @param {THREE.Object3D} droid - Droid taking cover
+ * @param {Object} point - Cover point
+ */
+export function claimCoverPoint(droid, point) {
+    releaseCoverPoint(droid);
+    point.occupant = droid;
+    droid.userData.ai.coverPoint = point;
+}
+
+/**
+ * @param {THREE.Object3D} droid - Droid leaving cover
+ */
+export function releaseCoverPoint(droid) {
+    const point = droid.userData.ai.coverPoint;
+    if (point && point.occupant === droid) {
+        point.occupant = null;
+    }
+    droid.userData.ai.coverPoint = null;
+}
+
+/**
+ * Spots past either end of the point's face, nearest the threat first
+ * @param {Object} point - Cover point
+ * @param {THREE.Vector3} threat - Player position
+ * @returns {Array<{x: number, z: number}>}
+ */
+export function getPeekPoints(point, threat) {
+    return [...point.peekSpots].sort((a, b) =>
+        Math.hypot(a.x - threat.x, a.z - threat.z) - Math.hypot(b.x - threat.x, b.z - threat.z)
+    );
+}
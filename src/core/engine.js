@@ -6,11 +6,19 @@
  * INTENT: Provide a clean initialization API for the game
  * 
  * INVARIANT: Scene must be created before any objects are added
- * INVARIANT: Camera FOV is 75 (standard for FPS games)
+ * INVARIANT: Camera FOV rests at BASE_FOV (75, standard for FPS games); aiming
+ *            narrows it through setCameraFov
+ * INVARIANT: Look sensitivity scales PointerLockControls mouse deltas (1 = stock)
  * INVARIANT: Renderer is attached to #gameContainer DOM element
  * INVARIANT: PointerLockControls requires camera and document.body
  */
 
+export const BASE_FOV = 75;
+
+const PITCH_LIMIT = Math.PI / 2 - 0.001;
+const lookEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+const lookBefore = new THREE.Euler(0, 0, 0, 'YXZ');
+
 /**
  * Creates and configures the Three.js scene
  * @param {HTMLElement} container - DOM element to attach renderer to
@@ -24,7 +32,7 @@ export function setupScene(container, playerHeight) {
     scene.fog = new THREE.Fog(0x111122, 1, 100);
     
     // Create camera at player height
-    const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    const camera = new THREE.PerspectiveCamera(BASE_FOV, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.y = playerHeight;
     
     // Create renderer with antialiasing and shadow support
@@ -36,6 +44,7 @@ export function setupScene(container, playerHeight) {
     // Initialize PointerLockControls for FPS-style mouse look
     const controls = new THREE.PointerLockControls(camera, document.body);
     scene.add(controls.getObject());
+    installLookSensitivity(controls, camera);
 
     // Create clock for delta time calculation
     const clock = new THREE.Clock();
@@ -55,6 +64,70 @@ export function setupScene(container, playerHeight) {
     };
 }
 
+/**
+ * PointerLockControls (r128) has a fixed mouse speed, so the look delta it
+ * applies is rescaled afterwards. The capture listener snapshots the camera
+ * before the controls' own mousemove handler runs.
+ * @param {THREE.PointerLockControls} controls - Pointer lock controls
+ * @param {THREE.Camera} camera - Camera the controls rotate
+ */
+function installLookSensitivity(controls, camera) {
+    controls.lookSensitivity = 1;
+
+    document.addEventListener('mousemove', () => {
+        lookBefore.setFromQuaternion(camera.quaternion);
+    }, true);
+
+    controls.addEventListener('change', () => {
+        if (controls.lookSensitivity === 1) return;
+
+        lookEuler.setFromQuaternion(camera.quaternion);
+        const yawDelta = Math.atan2(
+            Math.sin(lookEuler.y - lookBefore.y),
+            Math.cos(lookEuler.y - lookBefore.y)
+        );
+        lookEuler.y = lookBefore.y + yawDelta * controls.lookSensitivity;
+        lookEuler.x = lookBefore.x + (lookEuler.x - lookBefore.x) * controls.lookSensitivity;
+        camera.quaternion.setFromEuler(lookEuler);
+    });
+}
+
+/**
+ * Sets the mouse look sensitivity multiplier
+ * @param {THREE.PointerLockControls} controls - Pointer lock controls
+ * @param {number} sensitivity - 1 for stock speed, lower while aiming
+ */
+export function setLookSensitivity(controls, sensitivity) {
+    controls.lookSensitivity = sensitivity;
+}
+
+/**
+ * Rotates the camera by yaw/pitch offsets (scope sway, recoil), keeping the
+ * pitch inside the same limits as mouse look
+ * @param {THREE.Camera} camera - Player camera
+ * @param {number} yaw - Radians to turn left (+) or right (-)
+ * @param {number} pitch - Radians to tilt up (+) or down (-)
+ */
+export function rotateCamera(camera, yaw, pitch) {
+    if (yaw === 0 && pitch === 0) return;
+
+    lookEuler.setFromQuaternion(camera.quaternion);
+    lookEuler.y += yaw;
+    lookEuler.x = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, lookEuler.x + pitch));
+    camera.quaternion.setFromEuler(lookEuler);
+}
+
+/**
+ * Sets the camera field of view, skipping the projection update when unchanged
+ * @param {THREE.PerspectiveCamera} camera - Player camera
+ * @param {number} fov - Vertical field of view in degrees
+ */
+export function setCameraFov(camera, fov) {
+    if (Math.abs(camera.fov - fov) < 0.01) return;
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+}
+
 /**
  * Creates the animation loop
  * @param {Object} params - Animation parameters
@@ -12,6 +12,15 @@
  */
 
 import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+import { acquireTracer, placeTracer } from '../effects/tracer-pool.js';
+
+const SPIN_HOLD_MS = 300;      // Trigger requests within this window keep barrels spinning
+const HEAT_COOL_DELAY_MS = 250; // Heat only sheds after this long without a shot
+const DEFAULT_PROJECTILE_SPEED = 60; // Units per second
+const GRENADE_LOFT = 0.35;     // Upward bias added to the throw direction
+const GRENADE_SIZE = 0.14;
+// Shared by every thrown grenade; each keeps its own material, disposed when it is removed
+const GRENADE_GEOMETRY = new THREE.SphereGeometry(GRENADE_SIZE, 10, 8);
 
 /**
  * Starts a new game session
@@ -34,7 +43,7 @@ export function startGame({ weaponType, weapons, updateHUD, createEnemies, contr
     
     // Initialize game state
     const gameState = {
-        ammo: weapon.ammo,
+        ammo: weapon.maxAmmo,
         maxAmmo: weapon.maxAmmo,
         health: 100,
         round: 1,
@@ -130,24 +139,46 @@ export function nextRound({ currentRound, createEnemies, updateHUD, maxAmmo }) {
 
 /**
  * Fires the current weapon
+ * Ranged weapons spawn bullets; melee weapons queue a swing that resolves
+ * its hits after the windup (see updateMeleeSwings in update.js).
  * @param {Object} params - Fire weapon parameters
  * @param {string} params.weaponType - Current weapon type
  * @param {Object} params.weapons - Weapon configuration
  * @param {number} params.ammo - Current ammo count
  * @param {number} params.lastFireTime - Timestamp of last shot
+ * @param {Object} params.runtime - Per-weapon runtime state (muzzle, spin, heat)
  * @param {THREE.Camera} params.camera - Player camera for direction
- * @param {THREE.Scene} params.scene - Scene to add bullets to
+ * @param {THREE.Scene} params.scene - Scene holding the bullet tracers
  * @param {Array} params.bullets - Array to add bullet objects to
+ * @param {Array} params.meleeSwings - Array to add pending melee swings to
  * @param {Function} params.updateHUD - Function to update ammo display
- * @returns {Object} Updated ammo and lastFireTime
+ * @param {number} [params.spreadMultiplier=1] - Scales weapon spread (aim, stance); bloom is added on top
+ * @returns {Object} Updated ammo, lastFireTime, whether the weapon fired, muzzle side and recoil kick
  */
-export function fireWeapon({ weaponType, weapons, ammo, lastFireTime, camera, scene, bullets, updateHUD }) {
+export function fireWeapon({ weaponType, weapons, ammo, lastFireTime, runtime, camera, scene, bullets, meleeSwings, updateHUD, spreadMultiplier = 1 }) {
     const weapon = weapons[weaponType];
     const currentTime = Date.now();
     
+    if (weapon.type === 'melee') {
+        if (currentTime - lastFireTime < weapon.fireRate) {
+            return { ammo, lastFireTime, fired: false };
+        }
+        
+        startMeleeSwing(weaponType, weapon, meleeSwings);
+        return { ammo, lastFireTime: currentTime, fired: true };
+    }
+    
+    // Spin-up weapons register the trigger pull, but only fire at full spin
+    if (weapon.spinUp) {
+        runtime.spinRequestedAt = currentTime;
+        if (runtime.overheated || runtime.spin < 1) {
+            return { ammo, lastFireTime, fired: false };
+        }
+    }
+    
     // Check if we can fire (ammo and fire rate)
     if (ammo <= 0 || currentTime - lastFireTime < weapon.fireRate) {
-        return { ammo, lastFireTime };
+        return { ammo, lastFireTime, fired: false };
     }
     
     // Use ammo
@@ -161,86 +192,360 @@ export function fireWeapon({ weaponType, weapons, ammo, lastFireTime, camera, sc
     const baseDirection = new THREE.Vector3(0, 0, -1);
     baseDirection.applyQuaternion(camera.quaternion);
     
-    if (weaponType === 'shotgun' && weapon.pellets) {
-        // Shotgun fires multiple pellets
+    // Dual weapons alternate between left (-1) and right (1) muzzles
+    let muzzleSide = 0;
+    if (weapon.muzzleOffset) {
+        muzzleSide = runtime.muzzle === 0 ? -1 : 1;
+        runtime.muzzle = runtime.muzzle === 0 ? 1 : 0;
+    }
+    const muzzleOffset = new THREE.Vector3(1, 0, 0)
+        .applyQuaternion(camera.quaternion)
+        .multiplyScalar(muzzleSide * (weapon.muzzleOffset || 0));
+    
+    const spread = getWeaponSpread(weapon, runtime, spreadMultiplier);
+    const recoil = getRecoilKick(weapon, runtime, currentTime - lastFireTime);
+    if (weapon.bloom) {
+        runtime.bloom = Math.min(weapon.bloom.max, runtime.bloom + weapon.bloom.perShot);
+    }
+    
+    if (weapon.pellets) {
+        // Pellet weapons fire several projectiles per shot
         for (let i = 0; i < weapon.pellets; i++) {
             const pelletDirection = baseDirection.clone();
-            pelletDirection.x += (Math.random() - 0.5) * weapon.spread;
-            pelletDirection.y += (Math.random() - 0.5) * weapon.spread;
-            pelletDirection.z += (Math.random() - 0.5) * weapon.spread;
+            pelletDirection.x += (Math.random() - 0.5) * spread;
+            pelletDirection.y += (Math.random() - 0.5) * spread;
+            pelletDirection.z += (Math.random() - 0.5) * spread;
             pelletDirection.normalize();
             
-            createBullet(pelletDirection, weapon, camera, scene, bullets);
+            createBullet(pelletDirection, weaponType, weapon, camera, scene, bullets, muzzleOffset);
         }
     } else {
         // Other weapons fire single shot
-        baseDirection.x += (Math.random() - 0.5) * weapon.spread;
-        baseDirection.y += (Math.random() - 0.5) * weapon.spread;
+        baseDirection.x += (Math.random() - 0.5) * spread;
+        baseDirection.y += (Math.random() - 0.5) * spread;
         baseDirection.normalize();
         
-        createBullet(baseDirection, weapon, camera, scene, bullets);
+        createBullet(baseDirection, weaponType, weapon, camera, scene, bullets, muzzleOffset);
+    }
+    
+    if (weapon.heatPerShot) {
+        addWeaponHeat(weaponType, weapon, runtime, currentTime);
+    }
+    
+    return { ammo: newAmmo, lastFireTime: newLastFireTime, fired: true, muzzleSide, recoil };
+}
+
+/**
+ * Current spread of a ranged weapon including sustained-fire bloom
+ * @param {Object} weapon - Weapon configuration
+ * @param {Object} runtime - Runtime state of the weapon
+ * @param {number} [spreadMultiplier=1] - Aim and stance multiplier
+ * @returns {number} Spread in radians
+ */
+export function getWeaponSpread(weapon, runtime, spreadMultiplier = 1) {
+    return (weapon.spread || 0) * spreadMultiplier * (1 + runtime.bloom);
+}
+
+/**
+ * Next camera kick from the weapon's recoil pattern
+ * @param {Object} weapon - Weapon configuration
+ * @param {Object} runtime - Runtime state of the weapon
+ * @param {number} sinceLastShot - Milliseconds since the previous shot
+ * @returns {Object|null} { pitch, yaw } in radians, or null without recoil
+ */
+function getRecoilKick(weapon, runtime, sinceLastShot) {
+    const recoil = weapon.recoil;
+    if (!recoil) return null;
+    
+    if (sinceLastShot > recoil.resetTime) {
+        runtime.recoilIndex = 0;
+    }
+    
+    const [pitch, yaw] = recoil.pattern[Math.min(runtime.recoilIndex, recoil.pattern.length - 1)];
+    runtime.recoilIndex++;
+    
+    return {
+        pitch,
+        yaw: yaw + (Math.random() - 0.5) * recoil.jitter
+    };
+}
+
+/**
+ * Adds heat for one shot and trips the overheat lockout at a full meter
+ * @param {string} weaponType - Weapon key (for logging)
+ * @param {Object} weapon - Weapon configuration
+ * @param {Object} runtime - Runtime state of the weapon
+ * @param {number} currentTime - Shot timestamp
+ */
+function addWeaponHeat(weaponType, weapon, runtime, currentTime) {
+    runtime.heat = Math.min(1, runtime.heat + weapon.heatPerShot);
+    runtime.lastShotAt = currentTime;
+    
+    if (runtime.heat >= 1 && !runtime.overheated) {
+        runtime.overheated = true;
+        runtime.overheatTimer = weapon.overheatLockout / 1000;
+        log(CATEGORIES.WEAPON, LEVELS.INFO, 'Weapon overheated', { weapon: weaponType });
+    }
+}
+
+/**
+ * Creates runtime state for every weapon (kept apart from static config)
+ * Holds the selected fire mode plus muzzle, spin and heat tracking.
+ * @param {Object} weapons - Weapon configuration
+ * @returns {Object} Map of weapon key to runtime state
+ */
+export function createWeaponRuntime(weapons) {
+    const runtime = {};
+    Object.keys(weapons).forEach(key => {
+        runtime[key] = {
+            fireMode: weapons[key].fireMode || 'semi',
+            muzzle: 0,
+            spin: 0,
+            spinRequestedAt: 0,
+            heat: 0,
+            lastShotAt: 0,
+            overheated: false,
+            overheatTimer: 0,
+            bloom: 0,
+            recoilIndex: 0
+        };
+    });
+    return runtime;
+}
+
+/**
+ * Advances barrel spin, heat and spread bloom for one weapon
+ * @param {Object} weapon - Weapon configuration
+ * @param {Object} runtime - Runtime state of the weapon
+ * @param {number} delta - Frame time in seconds
+ * @param {boolean} isEquipped - Whether the weapon is in hand
+ */
+export function updateWeaponRuntime(weapon, runtime, delta, isEquipped) {
+    const currentTime = Date.now();
+    
+    if (weapon.bloom) {
+        runtime.bloom = Math.max(0, runtime.bloom - weapon.bloom.recovery * delta);
+    }
+    
+    if (weapon.spinUp) {
+        const spinning = isEquipped &&
+            !runtime.overheated &&
+            currentTime - runtime.spinRequestedAt < SPIN_HOLD_MS;
+        const rate = spinning ? 1000 / weapon.spinUp : -1000 / weapon.spinDown;
+        runtime.spin = Math.max(0, Math.min(1, runtime.spin + rate * delta));
+    }
+    
+    if (weapon.heatPerShot) {
+        if (currentTime - runtime.lastShotAt > HEAT_COOL_DELAY_MS) {
+            runtime.heat = Math.max(0, runtime.heat - weapon.coolRate * delta);
+        }
+        
+        if (runtime.overheated) {
+            runtime.overheatTimer -= delta;
+            if (runtime.overheatTimer <= 0) {
+                runtime.overheated = false;
+                runtime.overheatTimer = 0;
+            }
+        }
     }
+}
+
+/**
+ * Queues a melee swing
+ * @param {string} weaponType - Melee weapon key
+ * @param {Object} weapon - Melee weapon configuration
+ * @param {Array} meleeSwings - Array to track pending swings
+ */
+function startMeleeSwing(weaponType, weapon, meleeSwings) {
+    meleeSwings.push({
+        weaponType,
+        damage: weapon.damage,
+        reach: weapon.range,
+        arc: weapon.arc,
+        lunge: weapon.lunge,
+        maxTargets: weapon.maxTargets,
+        windup: weapon.windup / 1000,
+        elapsed: 0,
+        lunged: 0,
+        resolved: false
+    });
     
-    return { ammo: newAmmo, lastFireTime: newLastFireTime };
+    log(CATEGORIES.WEAPON, LEVELS.DEBUG, 'Melee swing', { weapon: weaponType });
 }
 
 /**
- * Creates a bullet tracer
+ * Creates a bullet with a pooled tracer
  * @param {THREE.Vector3} direction - Bullet direction
+ * @param {string} weaponType - Weapon key, which names the tracer style
  * @param {Object} weapon - Weapon configuration
  * @param {THREE.Camera} camera - Player camera
- * @param {THREE.Scene} scene - Scene to add bullet to
+ * @param {THREE.Scene} scene - Scene holding the tracer pool
  * @param {Array} bullets - Array to track bullet
+ * @param {THREE.Vector3} muzzleOffset - Sideways offset of the firing muzzle
  */
-function createBullet(direction, weapon, camera, scene, bullets) {
+function createBullet(direction, weaponType, weapon, camera, scene, bullets, muzzleOffset) {
     const origin = camera.position.clone();
     origin.y -= 0.5; // Adjust to gun height
+    origin.add(muzzleOffset);
     
-    // Create tracer
-    const tracerGeometry = new THREE.CylinderGeometry(
-        weapon.tracerWidth, 
-        weapon.tracerWidth, 
-        weapon.tracerLength,
-        8
-    );
-    const tracerMaterial = new THREE.MeshBasicMaterial({ 
-        color: weapon.color,
-        transparent: true,
-        opacity: 0.8
+    const tracer = acquireTracer(scene, weaponType, {
+        width: weapon.tracerWidth,
+        length: weapon.tracerLength,
+        color: weapon.color
     });
-    const tracer = new THREE.Mesh(tracerGeometry, tracerMaterial);
-    
-    // Position and orient tracer
-    tracer.position.copy(origin);
-    tracer.lookAt(origin.clone().add(direction));
-    tracer.rotateX(Math.PI / 2);
-    scene.add(tracer);
+    placeTracer(tracer, origin, direction);
     
     // Add bullet to array
     bullets.push({
         position: origin,
         direction: direction,
-        speed: 1.0,
+        speed: weapon.projectileSpeed || DEFAULT_PROJECTILE_SPEED,
+        hitscan: Boolean(weapon.hitscan),
         range: weapon.range,
         damage: weapon.damage,
-        mesh: tracer,
+        zoneMultipliers: weapon.zoneMultipliers,
+        falloff: weapon.falloff,
+        penetration: weapon.penetration || null,
+        damageScale: 1,       // Reduced as the round punches through walls and droids
+        wallDepthUsed: 0,
+        enemiesHit: [],
+        nearMissed: [],       // Droids this round has already suppressed
+        tracer,
         distance: 0
     });
 }
 
 /**
- * Reloads the current weapon
+ * Throws a grenade from the player's hand along a lofted arc
+ * Flight, bounces and detonation are handled by updateGrenades in update.js.
+ * @param {Object} params - Throw parameters
+ * @param {string} params.grenadeType - Grenade key ('frag', 'emp', 'smoke')
+ * @param {Object} params.grenades - Grenade configuration
+ * @param {THREE.Camera} params.camera - Player camera for direction
+ * @param {THREE.Scene} params.scene - Scene to add the grenade mesh to
+ * @param {Array} params.thrownGrenades - Array of live grenades
+ */
+export function throwGrenade({ grenadeType, grenades, camera, scene, thrownGrenades }) {
+    const grenade = grenades[grenadeType];
+    
+    const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+    direction.y += GRENADE_LOFT;
+    direction.normalize();
+    
+    const origin = camera.position.clone();
+    origin.y -= 0.3;
+    origin.addScaledVector(direction, 0.6);
+    
+    const mesh = new THREE.Mesh(
+        GRENADE_GEOMETRY,
+        new THREE.MeshStandardMaterial({
+            color: grenade.color,
+            emissive: grenade.color,
+            emissiveIntensity: 0.5,
+            roughness: 0.4,
+            metalness: 0.6
+        })
+    );
+    mesh.position.copy(origin);
+    scene.add(mesh);
+    
+    thrownGrenades.push({
+        type: grenadeType,
+        position: origin,
+        velocity: direction.multiplyScalar(grenade.throwSpeed),
+        radius: GRENADE_SIZE,
+        fuse: grenade.fuse,
+        bounces: 0,
+        mesh
+    });
+    
+    log(CATEGORIES.WEAPON, LEVELS.INFO, 'Grenade thrown', { type: grenadeType });
+}
+
+/**
+ * Starts a timed reload if the weapon can take one
  * @param {string} weaponType - Current weapon type
  * @param {Object} weapons - Weapon configuration
- * @param {number} currentAmmo - Current ammo count
- * @param {Function} updateHUD - Function to update ammo display
- * @returns {number} New ammo count
+ * @param {Object} ammoState - Magazine/reserve counts for the weapon
+ * @param {Object} reload - Shared reload state to populate
+ * @returns {boolean} True if a reload started
+ */
+export function startReload(weaponType, weapons, ammoState, reload) {
+    const weapon = weapons[weaponType];
+    
+    if (weapon.type === 'melee' || reload.active) return false;
+    if (ammoState.magazine >= weapon.maxAmmo || ammoState.reserve <= 0) return false;
+    
+    // Tactical reloads keep a round chambered, so they skip the bolt/slide step
+    const tactical = ammoState.magazine > 0;
+    reload.active = true;
+    reload.weaponType = weaponType;
+    reload.tactical = tactical;
+    reload.elapsed = 0;
+    reload.duration = (tactical ? weapon.tacticalReloadTime : weapon.reloadTime) / 1000;
+    
+    log(CATEGORIES.WEAPON, LEVELS.INFO, 'Reload started', {
+        weapon: weaponType,
+        tactical,
+        duration: reload.duration
+    });
+    return true;
+}
+
+/**
+ * Advances an active reload and completes it when its time is up
+ * @param {Object} reload - Shared reload state
+ * @param {Object} weapons - Weapon configuration
+ * @param {Object} weaponAmmo - Magazine/reserve counts per weapon
+ * @param {number} delta - Frame time in seconds
+ * @returns {boolean} True on the frame the reload completes
+ */
+export function updateReload(reload, weapons, weaponAmmo, delta) {
+    if (!reload.active) return false;
+    
+    reload.elapsed += delta;
+    if (reload.elapsed < reload.duration) return false;
+    
+    const ammoState = weaponAmmo[reload.weaponType];
+    reloadWeapon(reload.weaponType, weapons, ammoState);
+    reload.active = false;
+    
+    log(CATEGORIES.WEAPON, LEVELS.INFO, 'Reload complete', {
+        weapon: reload.weaponType,
+        magazine: ammoState.magazine,
+        reserve: ammoState.reserve
+    });
+    return true;
+}
+
+/**
+ * Cancels an active reload without moving any rounds
+ * @param {Object} reload - Shared reload state
+ * @param {string} reason - Why the reload was interrupted (for logging)
  */
-export function reloadWeapon(weaponType, weapons, currentAmmo, updateHUD) {
-    const maxAmmo = weapons[weaponType].maxAmmo;
+export function cancelReload(reload, reason) {
+    if (!reload.active) return;
     
-    if (currentAmmo === maxAmmo) return currentAmmo;
+    reload.active = false;
+    log(CATEGORIES.WEAPON, LEVELS.INFO, 'Reload cancelled', {
+        weapon: reload.weaponType,
+        reason
+    });
+}
+
+/**
+ * Moves rounds from reserve into the magazine
+ * @param {string} weaponType - Weapon type being reloaded
+ * @param {Object} weapons - Weapon configuration
+ * @param {Object} ammoState - Magazine/reserve counts for the weapon
+ * @returns {number} New magazine count
+ */
+export function reloadWeapon(weaponType, weapons, ammoState) {
+    const weapon = weapons[weaponType];
+    if (weapon.type === 'melee') return ammoState.magazine;
     
-    updateHUD(maxAmmo, maxAmmo, null, null);
-    return maxAmmo;
+    const loaded = Math.min(weapon.maxAmmo - ammoState.magazine, ammoState.reserve);
+    ammoState.magazine += loaded;
+    ammoState.reserve -= loaded;
+    return ammoState.magazine;
 }
@@ -0,0 +1,284 @@
+/**
+ * Droid navigation
+ * A walkability grid baked from the arena obstacles, searched with A* and
+ * smoothed by string pulling so droids cut straight across open floor.
+ *
+ * INTENT: Route droids around cover instead of probing fixed ray directions
+ *
+ * INVARIANT: The grid covers worldBounds exactly; cells are NAV_CELL_SIZE meters
+ * INVARIANT: Obstacles are inflated by NAV_CLEARANCE, matching the distance
+ *            moveEnemy() in update.js keeps from walls
+ * INVARIANT: Obstacles with userData.solid === false (an open gate) are walkable
+ * INVARIANT: version increments on every rebuild; paths planned against an
+ *            older version must be replanned
+ *
+ * DEPENDENCIES: Baked by createEnvironment() in world.js (mapMeta.navGrid)
+ * DEPENDENCIES: Rebuilt by main.js when the safe gate opens or closes
+ */
+
+import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+
+const NAV_CELL_SIZE = 0.5;
+const NAV_CLEARANCE = 1.4;
+const DIAGONAL_COST = Math.SQRT2;
+const NEIGHBORS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+/**
+ * Bakes a navigation grid for an arena
+ * @param {Array<THREE.Object3D>} obstacles - Arena obstacles
+ * @param {Object} worldBounds - { minX, maxX, minZ, maxZ }
+ * @returns {Object} Grid for findPath()
+ */
+export function createNavGrid(obstacles, worldBounds) {
+    const cols = Math.ceil((worldBounds.maxX - worldBounds.minX) / NAV_CELL_SIZE) + 1;
+    const rows = Math.ceil((worldBounds.maxZ - worldBounds.minZ) / NAV_CELL_SIZE) + 1;
+    const grid = {
+        cellSize: NAV_CELL_SIZE,
+        minX: worldBounds.minX,
+        minZ: worldBounds.minZ,
+        cols,
+        rows,
+        blocked: new Uint8Array(cols * rows),
+        obstacles,
+        version: 0
+    };
+
+    rebuildNavGrid(grid);
+    return grid;
+}
+
+/**
+ * Re-rasterizes the grid from the current obstacle state
+ * @param {Object} grid - Grid from createNavGrid()
+ */
+export function rebuildNavGrid(grid) {
+    grid.blocked.fill(0);
+    const box = new THREE.Box3();
+
+    grid.obstacles.forEach(obstacle => {
+        if (obstacle.userData && obstacle.userData.solid === false) return;
+
+        box.setFromObject(obstacle);
+        const minCol = Math.max(0, Math.floor((box.min.x - NAV_CLEARANCE - grid.minX) / grid.cellSize));
+        const maxCol = Math.min(grid.cols - 1, Math.ceil((box.max.x + NAV_CLEARANCE - grid.minX) / grid.cellSize));
+        const minRow = Math.max(0, Math.floor((box.min.z - NAV_CLEARANCE - grid.minZ) / grid.cellSize));
+        const maxRow = Math.min(grid.rows - 1, Math.ceil((box.max.z + NAV_CLEARANCE - grid.minZ) / grid.cellSize));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const x = grid.minX + col * grid.cellSize;
+                const z = grid.minZ + row * grid.cellSize;
+                if (x > box.min.x - NAV_CLEARANCE && x < box.max.x + NAV_CLEARANCE &&
+                    z > box.min.z - NAV_CLEARANCE && z < box.max.z + NAV_CLEARANCE) {
+                    grid.blocked[row * grid.cols + col] = 1;
+                }
+            }
+        }
+    });
+
+    grid.version++;
+    log(CATEGORIES.AI_STATE, LEVELS.DEBUG, 'Navigation grid baked', {
+        cells: grid.cols * grid.rows,
+        blocked: grid.blocked.reduce((sum, cell) => sum + cell, 0),
+        version: grid.version
+    });
+}
+
+function toCell(grid, x, z) {
+    const col = Math.max(0, Math.min(grid.cols - 1, Math.round((x - grid.minX) / grid.cellSize)));
+    const row = Math.max(0, Math.min(grid.rows - 1, Math.round((z - grid.minZ) / grid.cellSize)));
+    return row * grid.cols + col;
+}
+
+function toPoint(grid, cell) {
+    return {
+        x: grid.minX + (cell % grid.cols) * grid.cellSize,
+        z: grid.minZ + Math.floor(cell / grid.cols) * grid.cellSize
+    };
+}
+
+function isWalkable(grid, col, row) {
+    return col >= 0 && row >= 0 && col < grid.cols && row < grid.rows &&
+        grid.blocked[row * grid.cols + col] === 0;
+}
+
+/**
+ * Whether a point is on walkable floor (outside every inflated obstacle)
+ * @param {Object} grid - Grid from createNavGrid()
+ * @param {number} x - World x
+ * @param {number} z - World z
+ * @returns {boolean}
+ */
+export function isNavWalkable(grid, x, z) {
+    return grid.blocked[toCell(grid, x, z)] === 0;
+}
+
+// Ring search outward for the closest open cell (targets inside cover, droids pinned on a wall)
+function findNearestWalkable(grid, cell) {
+    if (grid.blocked[cell] === 0) return cell;
+
+    const col = cell % grid.cols;
+    const row = Math.floor(cell / grid.cols);
+    const maxRadius = Math.max(grid.cols, grid.rows);
+
+    for (let radius = 1; radius < maxRadius; radius++) {
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let dr = -radius; dr <= radius; dr++) {
+            for (let dc = -radius; dc <= radius; dc++) {
+                if (Math.max(Math.abs(dr), Math.abs(dc)) !== radius) continue;
+                if (!isWalkable(grid, col + dc, row + dr)) continue;
+                const distance = dc * dc + dr * dr;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = (row + dr) * grid.cols + col + dc;
+                }
+            }
+        }
+        if (best !== -1) return best;
+    }
+    return -1;
+}
+
+function octile(grid, a, b) {
+    const dx = Math.abs((a % grid.cols) - (b % grid.cols));
+    const dz = Math.abs(Math.floor(a / grid.cols) - Math.floor(b / grid.cols));
+    return Math.max(dx, dz) + (DIAGONAL_COST - 1) * Math.min(dx, dz);
+}
+
+// Binary min-heap of cells keyed by f-score
+function heapPush(heap, scores, cell) {
+    heap.push(cell);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (scores[heap[parent]] <= scores[cell]) break;
+        heap[i] = heap[parent];
+        i = parent;
+    }
+    heap[i] = cell;
+}
+
+function heapPop(heap, scores) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length === 0) return top;
+
+    let i = 0;
+    while (true) {
+        const left = i * 2 + 1;
+        if (left >= heap.length) break;
+        const right = left + 1;
+        const child = right < heap.length && scores[heap[right]] < scores[heap[left]] ? right : left;
+        if (scores[heap[child]] >= scores[last]) break;
+        heap[i] = heap[child];
+        i = child;
+    }
+    heap[i] = last;
+    return top;
+}
+
+function searchCells(grid, start, goal) {
+    const size = grid.cols * grid.rows;
+    const gScore = new Float32Array(size).fill(Infinity);
+    const fScore = new Float32Array(size).fill(Infinity);
+    const cameFrom = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+    const open = [];
+
+    gScore[start] = 0;
+    fScore[start] = octile(grid, start, goal);
+    heapPush(open, fScore, start);
+
+    while (open.length > 0) {
+        const current = heapPop(open, fScore);
+        if (current === goal) {
+            const cells = [current];
+            while (cameFrom[cells[0]] !== -1) cells.unshift(cameFrom[cells[0]]);
+            return cells;
+        }
+        if (closed[current]) continue;
+        closed[current] = 1;
+
+        const col = current % grid.cols;
+        const row = Math.floor(current / grid.cols);
+        for (const [dc, dr] of NEIGHBORS) {
+            if (!isWalkable(grid, col + dc, row + dr)) continue;
+            // No cutting corners past an obstacle
+            if (dc !== 0 && dr !== 0 && (!isWalkable(grid, col + dc, row) || !isWalkable(grid, col, row + dr))) continue;
+
+            const next = (row + dr) * grid.cols + col + dc;
+            if (closed[next]) continue;
+
+            const tentative = gScore[current] + (dc !== 0 && dr !== 0 ? DIAGONAL_COST : 1);
+            if (tentative < gScore[next]) {
+                cameFrom[next] = current;
+                gScore[next] = tentative;
+                fScore[next] = tentative + octile(grid, next, goal);
+                heapPush(open, fScore, next);
+            }
+        }
+    }
+
+    return null;
+}
+
+// Samples the segment at quarter-cell steps for blocked cells
+function isSegmentWalkable(grid, a, b) {
+    const distance = Math.hypot(b.x - a.x, b.z - a.z);
+    const steps = Math.max(1, Math.ceil(distance / (grid.cellSize * 0.25)));
+    for (let i = 1; i < steps; i++) {
+        const t = i / steps;
+        if (!isNavWalkable(grid, a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t)) return false;
+    }
+    return true;
+}
+
+// String pulling: keep only the waypoints where a straight line would clip cover
+function smoothPath(grid, points) {
+    if (points.length <= 2) return points;
+
+    const smoothed = [points[0]];
+    let anchor = points[0];
+    for (let i = 1; i < points.length - 1; i++) {
+        if (!isSegmentWalkable(grid, anchor, points[i + 1])) {
+            smoothed.push(points[i]);
+            anchor = points[i];
+        }
+    }
+    smoothed.push(points[points.length - 1]);
+    return smoothed;
+}
+
+/**
+ * Plans a smoothed path across the grid
+ * Start and goal snap to the nearest walkable cell when they sit inside
+ * inflated cover. The start point itself is not included.
+ * @param {Object} grid - Grid from createNavGrid()
+ * @param {{x: number, z: number}} from - Start position
+ * @param {{x: number, z: number}} to - Goal position
+ * @returns {Array<{x: number, z: number}>|null} Waypoints, or null when unreachable
+ */
+export function findPath(grid, from, to) {
+    const start = findNearestWalkable(grid, toCell(grid, from.x, from.z));
+    const goal = findNearestWalkable(grid, toCell(grid, to.x, to.z));
+    if (start === -1 || goal === -1) return null;
+
+    const cells = searchCells(grid, start, goal);
+    if (!cells) return null;
+
+    const points = cells.map(cell => toPoint(grid, cell));
+    // The exact goal beats its cell center when it is reachable in a straight line
+    if (goal === toCell(grid, to.x, to.z)) {
+        points[points.length - 1] = { x: to.x, z: to.z };
+    }
+
+    // A start inside inflated cover first steps out to its nearest open cell
+    if (start !== toCell(grid, from.x, from.z)) {
+        return smoothPath(grid, points);
+    }
+    return smoothPath(grid, [{ x: from.x, z: from.z }, ...points]).slice(1);
+}
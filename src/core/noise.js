@@ -0,0 +1,107 @@
+/**
+ * Noise events
+ * Turns the player's loud actions into short-lived events with a hearing
+ * radius that raise droid awareness (see updateEnemies() in update.js).
+ *
+ * INTENT: Make the sound meter matter - sprinting and gunfire draw droids,
+ *         crouching and moving quietly keeps them on patrol
+ *
+ * INVARIANT: Movement noises (jump, landing, sprint) scale their radius with
+ *            the current sound telemetry level, so crouching shrinks them
+ * INVARIANT: Gunfire always uses its full radius
+ * INVARIANT: Events live NOISE_LIFETIME seconds; ids only ever increase so a
+ *            droid can tell a new event from one it already heard
+ * INVARIANT: Walls between a droid and the source cut the radius by WALL_MUFFLE
+ *
+ * DEPENDENCIES: Emitted by main.js, heard in updateEnemies() in update.js
+ */
+
+import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+
+export const NOISE_TYPES = {
+    GUNFIRE: { radius: 34, scalesWithSound: false },
+    MELEE: { radius: 7, scalesWithSound: false },
+    JUMP: { radius: 9, scalesWithSound: true },
+    LANDING: { radius: 12, scalesWithSound: true },
+    SPRINT: { radius: 14, scalesWithSound: true }
+};
+
+const NOISE_LIFETIME = 0.3;
+const MIN_SOUND_SCALE = 0.35;       // Radius share left at a silent sound level
+const WALL_MUFFLE = 0.6;
+
+let nextNoiseId = 1;
+
+/**
+ * Adds a noise event at a position
+ * @param {Array<Object>} noiseEvents - Live events
+ * @param {string} type - Key of NOISE_TYPES
+ * @param {THREE.Vector3} position - Source of the noise
+ * @param {number} soundLevel - Current sound telemetry (0-100)
+ * @returns {Object} The event
+ */
+export function emitNoise(noiseEvents, type, position, soundLevel = 100) {
+    const config = NOISE_TYPES[type];
+    const soundScale = config.scalesWithSound
+        ? MIN_SOUND_SCALE + (1 - MIN_SOUND_SCALE) * Math.max(0, Math.min(1, soundLevel / 100))
+        : 1;
+
+    const event = {
+        id: nextNoiseId++,
+        type,
+        position: { x: position.x, y: position.y, z: position.z },
+        radius: config.radius * soundScale,
+        age: 0
+    };
+    noiseEvents.push(event);
+
+    log(CATEGORIES.AI_STATE, LEVELS.DEBUG, 'Noise', {
+        type,
+        radius: event.radius.toFixed(1)
+    });
+    return event;
+}
+
+/**
+ * Ages events and drops expired ones
+ * @param {Array<Object>} noiseEvents - Live events
+ * @param {number} delta - Seconds since last frame
+ */
+export function updateNoiseEvents(noiseEvents, delta) {
+    for (let i = noiseEvents.length - 1; i >= 0; i--) {
+        noiseEvents[i].age += delta;
+        if (noiseEvents[i].age > NOISE_LIFETIME) {
+            noiseEvents.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Finds the loudest new event a listener can hear
+ * Loudness is how far inside the (possibly muffled) radius the listener is.
+ * @param {Array<Object>} noiseEvents - Live events
+ * @param {THREE.Vector3} listener - Listener position
+ * @param {number} lastHeardId - Events with this id or lower were already handled
+ * @param {Function} isOccluded - (from, to) => true when a wall is in between
+ * @returns {Object|null} { noise, loudness (0-1) }, or null when nothing new is audible
+ */
+export function getAudibleNoise(noiseEvents, listener, lastHeardId, isOccluded) {
+    let best = null;
+    let bestLoudness = 0;
+
+    noiseEvents.forEach(event => {
+        if (event.id <= lastHeardId) return;
+
+        const distance = Math.hypot(event.position.x - listener.x, event.position.z - listener.z);
+        if (distance > event.radius) return;
+
+        const radius = isOccluded(listener, event.position) ? event.radius * WALL_MUFFLE : event.radius;
+        const loudness = 1 - distance / radius;
+        if (loudness > bestLoudness) {
+            bestLoudness = loudness;
+            best = event;
+        }
+    });
+
+    return best ? { noise: best, loudness: bestLoudness } : null;
+}
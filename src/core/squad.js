@@ -0,0 +1,239 @@
+/**
+ * Squad coordinator
+ * Gives each round's droids a squad role on top of their PURSUER/ZONE_GUARD
+ * movement role, shares the last known player position between them and
+ * calls coordinated pushes.
+ *
+ * INTENT: Droids fight as a team - one pins the player down, two work around
+ *         the sides and one hangs back - instead of each running its FSM alone
+ *
+ * INVARIANT: Squad roles are SUPPRESSOR, FLANKER and REAR_GUARD; droids left
+ *            over keep squadRole null and behave as plain pursuers/guards
+ * INVARIANT: lastKnownPosition only changes when some droid actually sees the
+ *            player; droids without sight hunt that spot, not the live player
+ * INVARIANT: A dead suppressor is replaced by the nearest droid that is not
+ *            flanking, so the squad always has someone holding LOS
+ * INVARIANT: Every decision is logged under AI_STATE
+ *
+ * DEPENDENCIES: Created per round by main.js, driven from updateEnemies() in update.js
+ */
+
+import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+
+export const SQUAD_ROLES = {
+    SUPPRESSOR: 'SUPPRESSOR',
+    FLANKER: 'FLANKER',
+    REAR_GUARD: 'REAR_GUARD'
+};
+
+const SIGHTING_SHARE_MS = 4000;       // How long a sighting keeps the squad alerted
+const CONTACT_LOST_MS = 6000;
+const FLANK_OFFSET = 8;               // Meters to the side of the player's position
+const PUSH_DELAY_MS = 7000;           // Push anyway if flankers never get in place
+const PUSH_DURATION_MS = 4500;
+const PUSH_COOLDOWN_MS = 9000;
+
+/**
+ * @returns {Object} Empty squad state
+ */
+export function createSquad() {
+    return {
+        round: 0,
+        lastKnownPosition: null,
+        lastSeenAt: 0,
+        lastSpotter: null,
+        inContact: false,
+        contactSince: 0,
+        pushUntil: 0,
+        nextPushAt: 0
+    };
+}
+
+// Archetypes limit which squad roles a droid can fill (a rusher cannot suppress)
+function canTakeRole(droid, role) {
+    const allowed = droid.userData.ai.squadRoles;
+    return !allowed || allowed.includes(role);
+}
+
+/**
+ * Hands out squad roles for a new round
+ * Flankers come from the pursuers (they already roam), the suppressor and
+ * rear guard from the zone guards, each limited to droids whose archetype
+ * allows the role.
+ * @param {Object} squad - Squad from createSquad()
+ * @param {Array<THREE.Object3D>} droids - Droids spawned for the round
+ * @param {number} round - Global round number
+ */
+export function assignSquadRoles(squad, droids, round) {
+    Object.assign(squad, createSquad(), { round });
+
+    const byPreference = [...droids].sort((a, b) =>
+        (a.userData.ai.role === 'PURSUER' ? 0 : 1) - (b.userData.ai.role === 'PURSUER' ? 0 : 1)
+    );
+    const flankerCount = droids.length >= 4 ? 2 : 0;
+    const suppressorCount = droids.length >= 8 ? 2 : 1;
+    const rearGuardCount = droids.length >= 5 ? 1 : 0;
+
+    droids.forEach(droid => {
+        droid.userData.ai.squadRole = null;
+        droid.userData.ai.flankSide = 0;
+        droid.userData.ai.flankReady = false;
+    });
+
+    const flankers = byPreference.filter(droid => canTakeRole(droid, SQUAD_ROLES.FLANKER)).slice(0, flankerCount);
+    flankers.forEach((droid, i) => {
+        droid.userData.ai.squadRole = SQUAD_ROLES.FLANKER;
+        droid.userData.ai.flankSide = i % 2 === 0 ? 1 : -1;
+    });
+
+    const guards = byPreference.filter(droid => !flankers.includes(droid)).reverse();
+    const suppressors = guards.filter(droid => canTakeRole(droid, SQUAD_ROLES.SUPPRESSOR)).slice(0, suppressorCount);
+    suppressors.forEach(droid => {
+        droid.userData.ai.squadRole = SQUAD_ROLES.SUPPRESSOR;
+    });
+    const rearGuards = guards
+        .filter(droid => !suppressors.includes(droid) && canTakeRole(droid, SQUAD_ROLES.REAR_GUARD))
+        .slice(0, rearGuardCount);
+    rearGuards.forEach(droid => {
+        droid.userData.ai.squadRole = SQUAD_ROLES.REAR_GUARD;
+    });
+
+    log(CATEGORIES.AI_STATE, LEVELS.INFO, 'Squad roles assigned', {
+        round,
+        suppressors: suppressors.map(droid => droid.name),
+        flankers: flankers.map(droid => droid.name),
+        rearGuard: rearGuards.map(droid => droid.name)
+    });
+}
+
+/**
+ * Records that a droid can see the player
+ * @param {Object} squad - Squad state
+ * @param {THREE.Object3D} spotter - Droid with line of sight
+ * @param {THREE.Vector3} position - Player position
+ * @param {number} now - Timestamp in ms
+ */
+export function reportSighting(squad, spotter, position, now) {
+    if (!squad.inContact) {
+        squad.inContact = true;
+        squad.contactSince = now;
+        log(CATEGORIES.AI_STATE, LEVELS.INFO, 'Squad contact', {
+            spotter: spotter.name,
+            x: position.x.toFixed(1),
+            z: position.z.toFixed(1)
+        });
+    }
+
+    squad.lastKnownPosition = { x: position.x, z: position.z };
+    squad.lastSeenAt = now;
+    squad.lastSpotter = spotter;
+}
+
+/**
+ * Whether a recent sighting should alert droids that cannot see the player
+ * @param {Object} squad - Squad state
+ * @param {number} now - Timestamp in ms
+ * @returns {boolean}
+ */
+export function hasFreshSighting(squad, now) {
+    return Boolean(squad.lastKnownPosition) && now - squad.lastSeenAt < SIGHTING_SHARE_MS;
+}
+
+export function isSquadPushing(squad, now) {
+    return now < squad.pushUntil;
+}
+
+/**
+ * Flank point to one side of the last known player position, across the
+ * line from the squad's suppressor (or the flanker itself when there is none)
+ * @param {Object} squad - Squad state
+ * @param {THREE.Object3D} droid - Flanking droid
+ * @param {Array<THREE.Object3D>} droids - Live droids
+ * @param {Object} worldBounds - { minX, maxX, minZ, maxZ }
+ * @returns {{x: number, z: number}|null}
+ */
+export function getFlankPoint(squad, droid, droids, worldBounds) {
+    const target = squad.lastKnownPosition;
+    if (!target) return null;
+
+    const anchor = droids.find(other => other.userData.ai.squadRole === SQUAD_ROLES.SUPPRESSOR) || droid;
+    let axisX = target.x - anchor.position.x;
+    let axisZ = target.z - anchor.position.z;
+    const length = Math.hypot(axisX, axisZ) || 1;
+    axisX /= length;
+    axisZ /= length;
+
+    const side = droid.userData.ai.flankSide || 1;
+    return {
+        x: Math.max(worldBounds.minX, Math.min(worldBounds.maxX, target.x - axisZ * side * FLANK_OFFSET)),
+        z: Math.max(worldBounds.minZ, Math.min(worldBounds.maxZ, target.z + axisX * side * FLANK_OFFSET))
+    };
+}
+
+function promoteSuppressor(squad, droids) {
+    const target = squad.lastKnownPosition;
+    const candidates = droids.filter(droid =>
+        droid.userData.ai.squadRole !== SQUAD_ROLES.FLANKER && canTakeRole(droid, SQUAD_ROLES.SUPPRESSOR)
+    );
+    if (candidates.length === 0) return;
+
+    const distanceTo = droid => (target
+        ? Math.hypot(droid.position.x - target.x, droid.position.z - target.z)
+        : 0);
+    const replacement = candidates.reduce((best, droid) => (distanceTo(droid) < distanceTo(best) ? droid : best));
+    const previousRole = replacement.userData.ai.squadRole;
+    replacement.userData.ai.squadRole = SQUAD_ROLES.SUPPRESSOR;
+
+    log(CATEGORIES.AI_STATE, LEVELS.INFO, 'Squad suppressor promoted', {
+        droid: replacement.name,
+        previousRole: previousRole || 'NONE'
+    });
+}
+
+/**
+ * Squad-level decisions for one frame: contact tracking, replacing a lost
+ * suppressor and starting/ending coordinated pushes
+ * @param {Object} squad - Squad state
+ * @param {Array<THREE.Object3D>} droids - Live droids
+ * @param {number} now - Timestamp in ms
+ */
+export function updateSquad(squad, droids, now) {
+    if (droids.length === 0) return;
+
+    if (squad.inContact && now - squad.lastSeenAt > CONTACT_LOST_MS) {
+        squad.inContact = false;
+        log(CATEGORIES.AI_STATE, LEVELS.INFO, 'Squad lost contact', {
+            lastKnownX: squad.lastKnownPosition.x.toFixed(1),
+            lastKnownZ: squad.lastKnownPosition.z.toFixed(1)
+        });
+    }
+
+    if (!droids.some(droid => droid.userData.ai.squadRole === SQUAD_ROLES.SUPPRESSOR)) {
+        promoteSuppressor(squad, droids);
+    }
+
+    if (squad.pushUntil && now >= squad.pushUntil) {
+        squad.pushUntil = 0;
+        squad.nextPushAt = now + PUSH_COOLDOWN_MS;
+        // Flankers work their way around again before the next push
+        droids.forEach(droid => {
+            droid.userData.ai.flankReady = false;
+        });
+        log(CATEGORIES.AI_STATE, LEVELS.INFO, 'Squad push ended');
+    }
+
+    if (!squad.inContact || isSquadPushing(squad, now) || now < squad.nextPushAt) return;
+
+    const flankers = droids.filter(droid => droid.userData.ai.squadRole === SQUAD_ROLES.FLANKER);
+    const flankersReady = flankers.every(droid => droid.userData.ai.flankReady);
+    const waitedOut = now - squad.contactSince > PUSH_DELAY_MS;
+    if (flankersReady || waitedOut) {
+        squad.pushUntil = now + PUSH_DURATION_MS;
+        log(CATEGORIES.AI_STATE, LEVELS.INFO, 'Squad push', {
+            reason: flankersReady ? 'flankers in position' : 'timeout',
+            flankers: flankers.length,
+            targetX: squad.lastKnownPosition.x.toFixed(1),
+            targetZ: squad.lastKnownPosition.z.toFixed(1)
+        });
+    }
+}
@@ -75,6 +75,24 @@ function getProbeExposure({ player, probes, obstacles, raycaster }) {
     return clamp(exposure, 0, 42);
 }
 
+// Standing in a smoke cloud hides the player from light, strongest at its core
+function getSmokeReduction(player, smokeClouds) {
+    if (!smokeClouds || smokeClouds.length === 0) return 0;
+
+    let reduction = 0;
+    for (const cloud of smokeClouds) {
+        if (cloud.currentRadius <= 0) continue;
+
+        const dist = player.position.distanceTo(cloud.position);
+        if (dist >= cloud.currentRadius) continue;
+
+        const depth = 1 - dist / cloud.currentRadius;
+        reduction = Math.max(reduction, (20 + depth * 20) * cloud.density);
+    }
+
+    return clamp(reduction, 0, 40);
+}
+
 function getCoverReduction(player, obstacles) {
     if (!player || !obstacles) return 0;
 
@@ -95,7 +113,8 @@ export function computeLightTelemetry({
     mapMeta,
     obstacles,
     raycaster,
-    isCrouching
+    isCrouching,
+    smokeClouds
 }) {
     if (!player || !mapMeta) return 0;
 
@@ -108,8 +127,9 @@ export function computeLightTelemetry({
     });
 
     const coverReduction = getCoverReduction(player, obstacles);
+    const smokeReduction = getSmokeReduction(player, smokeClouds);
 
-    let value = zoneBase + probeExposure - coverReduction;
+    let value = zoneBase + probeExposure - coverReduction - smokeReduction;
     if (isCrouching) {
         value -= 8;
     }
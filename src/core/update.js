@@ -1,7 +1,89 @@
 import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+import { getFalloffMultiplier } from '../config/weapons.js';
+import { grenades as grenadeConfig } from '../config/grenades.js';
+import { droidArchetypes, DEFAULT_ARCHETYPE } from '../config/droid-archetypes.js';
+import { acquireTracer, placeTracer, releaseTracer } from '../effects/tracer-pool.js';
+import { findPath } from './navigation.js';
+import {
+    SQUAD_ROLES,
+    updateSquad,
+    reportSighting,
+    hasFreshSighting,
+    isSquadPushing,
+    getFlankPoint
+} from './squad.js';
+import { getAudibleNoise } from './noise.js';
+import { findCoverPoint, claimCoverPoint, releaseCoverPoint, isCoveredFrom, getPeekPoints } from './cover.js';
 
 const AI_DETECTION_RANGE = 22;
+const VISION_HALF_ANGLE = Math.PI * 0.3;  // 54 degrees either side of where a droid faces
+const VISION_MIN_LIGHT_RANGE = 0.3;       // Share of AI_DETECTION_RANGE left in total darkness
+const PERIPHERAL_RANGE = 2.5;             // Sensed all around at this distance
+const DETECTION_FILL_BASE = 0.5;          // Awareness per second at the edge of sight range
+const DETECTION_FILL_CLOSE = 2.5;         // Extra awareness per second right up close
+const SUSPICIOUS_AWARENESS = 0.25;
+const SEARCH_AWARENESS = 0.55;
+const SEARCH_RESUME_AWARENESS = 0.9;      // Where a guard that lost the player starts searching from
+const NOISE_AWARENESS_BASE = 0.25;
+const NOISE_AWARENESS_LOUDNESS = 0.6;
+const NOISE_AWARENESS_CAP = 0.95;         // Noise alone never confirms the player
+const AWARENESS_DECAY = 0.05;             // Awareness lost per second without a stimulus
 const REPOSITION_TIMEOUT_MS = 1800;
+const NAV_WAYPOINT_RADIUS = 0.6;      // Distance at which a waypoint counts as reached
+const NAV_REPLAN_DISTANCE = 1.5;      // Target drift that triggers a new path
+const SUPPRESSOR_RANGE_FACTOR = 1.3;  // Suppressors engage from further out
+const SUPPRESSOR_FIRE_RATE = 0.6;     // Multiplier on ms between suppressor shots
+const FLANK_SPEED_FACTOR = 1.1;
+const FLANK_TIMEOUT_MS = 8000;
+const REAR_GUARD_DISTANCE = 12;       // Meters the rear guard keeps from the player
+const PUSH_SPEED_FACTOR = 1.15;
+const PUSH_CLOSE_DISTANCE = 6;        // Pushing droids stop advancing this close
+const SEARCH_SPEED_FACTOR = 0.8;
+const SEARCH_TRAVEL_TIMEOUT_MS = 10000;
+const SEARCH_SWEEP_PAUSE_MS = 1200;   // Time spent scanning at each sweep point
+const SUPPRESSION_NEAR_MISS = 0.2;    // Added by a player round passing close by
+const SUPPRESSION_HIT = 0.45;
+const SUPPRESSION_RADIUS = 2;         // Near-miss distance from a droid's chest
+const SUPPRESSION_DECAY = 0.35;       // Lost per second
+const SUPPRESSED_LEVEL = 0.6;         // Suppression at which a droid dives for cover
+const WOUNDED_HEALTH_SHARE = 0.45;    // Health share below which a droid fights from cover
+const COVER_SEARCH_RADIUS = 14;       // Furthest a droid runs for cover
+const COVER_SPEED_FACTOR = 1.2;
+const COVER_MOVE_TIMEOUT_MS = 6000;
+const COVER_HIDE_MS = 1400;           // Time behind cover between peeks
+const COVER_PEEK_MS = 1600;           // Time stepped out to shoot
+const COVER_PEEK_ARRIVE = 0.15;       // Peeking droids close in on the spot this tightly
+const COVER_MIN_PEEKS = 2;            // Peeks before a droid no longer under pressure leaves cover
+const COVER_LOST_MS = 6000;           // Leave cover after this long without seeing the player
+const MELEE_DROID_ENGAGE_RANGE = 4;   // Rushers switch to ENGAGE and close the last meters
+const HOVER_BOB_AMPLITUDE = 0.12;
+const MELEE_HIT_RADIUS = 0.55;
+const MELEE_LUNGE_STOP = 0.7;
+const DROID_HITBOX_HALF_WIDTH = 0.75;
+const DROID_HITBOX_HEIGHT = 2.2;
+const PLAYER_HIT_RADIUS = 1.0;
+const ENEMY_BULLET_SPEED = 48;        // Units per second
+const HITSCAN_TRACER_SECONDS = 0.09;
+const DROID_TRACER_STYLE = { width: 0.05, length: 0.5, color: 0xff0000, opacity: 0.82 };
+const SNIPER_TRACER_STYLE = { width: 0.08, length: 1.6, color: 0xff1744, opacity: 0.9 };
+const BOSS_TRACER_STYLE = { width: 0.12, length: 1.0, color: 0xff9100, opacity: 0.9 };
+const BOSS_PREFERRED_RANGE = 14;      // The boss walks in until this close
+const BOSS_BARRAGE_RANGE = 40;
+const BOSS_MUZZLE = { x: 1.75, y: 3.5, z: 1.2 };  // Shoulder cannon tips, mirrored on x
+const BOSS_SLAM_REACH = 1.25;         // Slams are only picked within this many radii of the player
+const BOSS_SLAM_FLASH_SECONDS = 0.3;
+const BOSS_ATTACK_GRACE_MS = 1500;    // Pause before the first attack and after a stage change
+const PENETRATION_EXIT_NUDGE = 0.01;  // Keeps a round from re-hitting the face it just left
+const GRENADE_GRAVITY = 22;           // Units per second squared
+const GRENADE_RESTITUTION = 0.45;     // Speed kept after a bounce
+const GRENADE_GROUND_DAMPING = 0.6;   // Horizontal speed kept after hitting the floor
+const GRENADE_ROLL_FRICTION = 4;      // Horizontal speed shed per second on the ground
+const BLAST_FLASH_SECONDS = 0.35;
+const SMOKE_FADE_SECONDS = 1.5;
+const SMOKE_SIGHT_FACTOR = 0.85;      // Share of the cloud radius that blocks sight
+// Blasts and clouds share a unit sphere each; their materials fade per effect
+const BLAST_GEOMETRY = new THREE.SphereGeometry(1, 16, 12);
+const SMOKE_GEOMETRY = new THREE.SphereGeometry(1, 18, 14);
 
 function getSolidObstacles(obstacles) {
     return obstacles.filter(obj => !obj.userData || obj.userData.solid !== false);
@@ -54,6 +136,18 @@ function hasLineOfSight(from, to, obstacles, raycaster) {
     return hits[0].distance > targetDistance - 0.45;
 }
 
+function isSightBlockedBySmoke(from, to, smokeClouds) {
+    if (!smokeClouds || smokeClouds.length === 0) return false;
+
+    const segment = new THREE.Line3(from, to);
+    const closest = new THREE.Vector3();
+    return smokeClouds.some(cloud => {
+        if (cloud.currentRadius <= 0 || cloud.density < 0.3) return false;
+        segment.closestPointToPoint(cloud.position, true, closest);
+        return closest.distanceTo(cloud.position) < cloud.currentRadius * SMOKE_SIGHT_FACTOR;
+    });
+}
+
 function clampToBounds(object, worldBounds) {
     object.position.x = Math.max(worldBounds.minX, Math.min(worldBounds.maxX, object.position.x));
     object.position.z = Math.max(worldBounds.minZ, Math.min(worldBounds.maxZ, object.position.z));
@@ -66,18 +160,25 @@ function setAIState(enemy, nextState) {
     log(CATEGORIES.AI_STATE, LEVELS.DEBUG, `${enemy.name} state transition`, {
         from: ai.state,
         to: nextState,
-        role: ai.role
+        role: ai.role,
+        squadRole: ai.squadRole || 'NONE',
+        awareness: ai.awareness.toFixed(2)
     });
 
+    // Leaving cover for any reason (stun, push, flanked) frees the spot
+    if (ai.state === 'TAKE_COVER') {
+        releaseCoverPoint(enemy);
+        ai.coverPhase = null;
+    }
     ai.state = nextState;
 }
 
-function pickRepositionTarget(player, worldBounds) {
+function pickRepositionTarget(around, worldBounds) {
     const angle = Math.random() * Math.PI * 2;
     const radius = 4 + Math.random() * 4;
     return {
-        x: Math.max(worldBounds.minX, Math.min(worldBounds.maxX, player.position.x + Math.cos(angle) * radius)),
-        z: Math.max(worldBounds.minZ, Math.min(worldBounds.maxZ, player.position.z + Math.sin(angle) * radius))
+        x: Math.max(worldBounds.minX, Math.min(worldBounds.maxX, around.x + Math.cos(angle) * radius)),
+        z: Math.max(worldBounds.minZ, Math.min(worldBounds.maxZ, around.z + Math.sin(angle) * radius))
     };
 }
 
@@ -161,7 +262,10 @@ export function updatePlayer(delta, player, camera, movementFlags, playerConfig,
     if (movementFlags.moveRight) moveDirection.add(right);
     if (moveDirection.lengthSq() > 0.0001) moveDirection.normalize();
 
-    const speed = crouching ? playerConfig.crouchSpeed : playerConfig.speed;
+    let speed = crouching ? playerConfig.crouchSpeed : playerConfig.speed;
+    if (!crouching && movementFlags.isSprinting) {
+        speed = playerConfig.sprintSpeed;
+    }
     player.position.x += moveDirection.x * speed * dtFactor;
     player.position.z += moveDirection.z * speed * dtFactor;
 
@@ -185,183 +289,689 @@ export function updatePlayer(delta, player, camera, movementFlags, playerConfig,
     camera.position.copy(player.position);
 }
 
-function updatePatrol(enemy, mapMeta, speed, delta, obstacles, raycaster, worldBounds) {
+function distanceXZ(position, point) {
+    return Math.hypot(point.x - position.x, point.z - position.z);
+}
+
+function steerToward(enemy, target, speed, delta, obstacles, raycaster, worldBounds) {
+    const desired = new THREE.Vector3(target.x - enemy.position.x, 0, target.z - enemy.position.z);
+    const origin = enemy.position.clone();
+    origin.y += 1.0;
+    const steered = getSteeredDirection(origin, desired, obstacles, raycaster);
+    return moveEnemy(enemy, steered, speed, delta, obstacles, raycaster, worldBounds);
+}
+
+/**
+ * Moves a droid one step along an A* path to the target. The path is replanned
+ * when the grid is rebuilt (gate opened/closed), the target drifts or a
+ * collision knocks the droid off it; without a grid or a route, or when the
+ * droid flies, it falls back to ray steering.
+ * @returns {Object} { blocked, arrived } - arrived once the last waypoint is reached
+ */
+function followPath(enemy, target, speed, delta, obstacles, raycaster, mapMeta) {
+    const ai = enemy.userData.ai;
+    const grid = mapMeta.navGrid;
+    // Drones fly over the cover the grid is baked from
+    if (!grid || ai.flying) {
+        return { blocked: steerToward(enemy, target, speed, delta, obstacles, raycaster, mapMeta.worldBounds), arrived: false };
+    }
+
+    if (!ai.nav || ai.nav.version !== grid.version || distanceXZ(ai.nav.goal, target) > NAV_REPLAN_DISTANCE) {
+        ai.nav = {
+            path: findPath(grid, enemy.position, target),
+            index: 0,
+            goal: { x: target.x, z: target.z },
+            version: grid.version
+        };
+    }
+
+    const nav = ai.nav;
+    if (!nav.path) {
+        return { blocked: steerToward(enemy, target, speed, delta, obstacles, raycaster, mapMeta.worldBounds), arrived: false };
+    }
+
+    while (nav.index < nav.path.length && distanceXZ(enemy.position, nav.path[nav.index]) < NAV_WAYPOINT_RADIUS) {
+        nav.index++;
+    }
+    if (nav.index >= nav.path.length) {
+        return { blocked: false, arrived: true };
+    }
+
+    const waypoint = nav.path[nav.index];
+    const direction = new THREE.Vector3(waypoint.x - enemy.position.x, 0, waypoint.z - enemy.position.z).normalize();
+    const blocked = moveEnemy(enemy, direction, speed, delta, obstacles, raycaster, mapMeta.worldBounds);
+    if (blocked) {
+        ai.nav = null;
+    }
+    return { blocked, arrived: false };
+}
+
+function updatePatrol(enemy, mapMeta, speed, delta, obstacles, raycaster) {
     const ai = enemy.userData.ai;
     const route = mapMeta.patrolRoutes[ai.patrolRouteIndex % mapMeta.patrolRoutes.length];
     if (!route || route.length === 0) return false;
 
     const node = route[ai.patrolNodeIndex % route.length];
-    const target = new THREE.Vector3(node.x, 0, node.z);
-    const desired = new THREE.Vector3().subVectors(target, enemy.position);
-    desired.y = 0;
-
-    if (desired.lengthSq() < 1.0) {
+    if (distanceXZ(enemy.position, node) < 1.0) {
         ai.patrolNodeIndex = (ai.patrolNodeIndex + 1) % route.length;
         return false;
     }
 
-    const origin = enemy.position.clone();
-    origin.y += 1.0;
-    const steered = getSteeredDirection(origin, desired, obstacles, raycaster);
-    return moveEnemy(enemy, steered, speed * 0.65, delta, obstacles, raycaster, worldBounds);
+    const { blocked, arrived } = followPath(enemy, node, speed * 0.65, delta, obstacles, raycaster, mapMeta);
+    // Nodes tucked against cover are reached as closely as the grid allows
+    if (arrived) {
+        ai.patrolNodeIndex = (ai.patrolNodeIndex + 1) % route.length;
+    }
+    return blocked;
 }
 
-function updateChase(enemy, player, speed, delta, obstacles, raycaster, worldBounds) {
-    const desired = new THREE.Vector3().subVectors(player.position, enemy.position);
-    desired.y = 0;
-    const origin = enemy.position.clone();
-    origin.y += 1.0;
-    const steered = getSteeredDirection(origin, desired, obstacles, raycaster);
-    return moveEnemy(enemy, steered, speed, delta, obstacles, raycaster, worldBounds);
+function updateChase(enemy, target, speed, delta, obstacles, raycaster, mapMeta) {
+    const { blocked, arrived } = followPath(enemy, target, speed, delta, obstacles, raycaster, mapMeta);
+    if (arrived) {
+        return steerToward(enemy, target, speed, delta, obstacles, raycaster, mapMeta.worldBounds);
+    }
+    return blocked;
+}
+
+// The rear guard hangs back on the line between itself and the target
+function getRearGuardPoint(enemy, target, worldBounds) {
+    const awayX = enemy.position.x - target.x;
+    const awayZ = enemy.position.z - target.z;
+    const length = Math.hypot(awayX, awayZ) || 1;
+    return {
+        x: Math.max(worldBounds.minX, Math.min(worldBounds.maxX, target.x + (awayX / length) * REAR_GUARD_DISTANCE)),
+        z: Math.max(worldBounds.minZ, Math.min(worldBounds.maxZ, target.z + (awayZ / length) * REAR_GUARD_DISTANCE))
+    };
+}
+
+function getArchetype(enemy) {
+    return droidArchetypes[enemy.userData.archetype] || droidArchetypes[DEFAULT_ARCHETYPE];
+}
+
+// The round's base enemy stats scaled by the droid's archetype
+function getDroidConfig(enemyConfig, archetype) {
+    return {
+        speed: enemyConfig.speed * archetype.stats.speed,
+        range: enemyConfig.range * archetype.stats.range,
+        fireRate: enemyConfig.fireRate * archetype.stats.fireRate,
+        damage: enemyConfig.damage * archetype.stats.damage
+    };
+}
+
+// States in which a droid knows the player is there; awareness stays full
+function isCombatState(state) {
+    return state === 'CHASE' || state === 'ENGAGE' || state === 'FLANK' || state === 'REPOSITION' || state === 'TAKE_COVER';
+}
+
+// The player's light exposure scales how far a droid can pick them out
+function getSightRange(playerLight) {
+    const light = Math.max(0, Math.min(1, playerLight / 100));
+    return AI_DETECTION_RANGE * (VISION_MIN_LIGHT_RANGE + (1 - VISION_MIN_LIGHT_RANGE) * light);
+}
+
+function isInVisionCone(enemy, target, distance, sightRange) {
+    if (distance <= PERIPHERAL_RANGE) return true;
+    if (distance > sightRange) return false;
+
+    const forward = enemy.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+    const toTarget = new THREE.Vector3(target.x - enemy.position.x, 0, target.z - enemy.position.z).normalize();
+    return forward.dot(toTarget) >= Math.cos(VISION_HALF_ANGLE);
+}
+
+// Seeing the player fills awareness, faster the closer they are
+function fillAwarenessFromSight(ai, distance, sightRange, delta) {
+    const closeness = Math.max(0, 1 - distance / sightRange);
+    ai.awareness = Math.min(1, ai.awareness + (DETECTION_FILL_BASE + DETECTION_FILL_CLOSE * closeness) * delta);
+}
+
+// Alert state for a droid that has not confirmed the player yet
+function getAlertState(awareness) {
+    if (awareness >= SEARCH_AWARENESS) return 'SEARCH';
+    if (awareness >= SUSPICIOUS_AWARENESS) return 'SUSPICIOUS';
+    return 'PATROL';
+}
+
+// Droids that already know where the player is ignore noise
+function canHearNoise(ai, seesPlayer, alerted) {
+    if (seesPlayer || ai.state === 'STUNNED') return false;
+    return ai.state !== 'ENGAGE' && ai.state !== 'FLANK' && ai.state !== 'TAKE_COVER' && !(ai.state === 'CHASE' && alerted);
 }
 
-function updateReposition(enemy, speed, delta, obstacles, raycaster, worldBounds) {
+function listenForNoise(enemy, noiseEvents, obstacles, raycaster) {
+    const ai = enemy.userData.ai;
+    const ear = enemy.position.clone();
+    ear.y += 1.0;
+    const heard = getAudibleNoise(noiseEvents, ear, ai.lastHeardNoiseId || 0, (from, to) =>
+        !hasLineOfSight(from, new THREE.Vector3(to.x, to.y, to.z), obstacles, raycaster)
+    );
+    if (!heard) return null;
+
+    ai.lastHeardNoiseId = heard.noise.id;
+    log(CATEGORIES.AI_STATE, LEVELS.DEBUG, `${enemy.name} heard noise`, {
+        type: heard.noise.type,
+        distance: distanceXZ(enemy.position, heard.noise.position).toFixed(1),
+        loudness: heard.loudness.toFixed(2)
+    });
+    return heard;
+}
+
+// Points the search toward a new spot: walk there first, then sweep around it
+function setSearchTarget(ai, point, now) {
+    ai.stimulus = { x: point.x, z: point.z };
+    ai.searchPoint = { x: point.x, z: point.z };
+    ai.searchStartedAt = now;
+    ai.searchArrivedAt = 0;
+    ai.searchSweeping = false;
+}
+
+/**
+ * Walks to the last known position, then sweeps nearby points, pausing at
+ * each to scan. Awareness only drains once the droid has reached the spot.
+ * @returns {boolean} True while the droid is still travelling to the spot
+ */
+function updateSearch(enemy, speed, delta, obstacles, raycaster, mapMeta, now) {
+    const ai = enemy.userData.ai;
+    if (!ai.searchPoint) {
+        setSearchTarget(ai, ai.stimulus || enemy.position, now);
+    }
+
+    if (ai.searchArrivedAt) {
+        if (now - ai.searchArrivedAt < SEARCH_SWEEP_PAUSE_MS) return false;
+        ai.searchPoint = pickRepositionTarget(ai.stimulus, mapMeta.worldBounds);
+        ai.searchStartedAt = now;
+        ai.searchArrivedAt = 0;
+        ai.searchSweeping = true;
+    }
+
+    const { arrived } = followPath(enemy, ai.searchPoint, speed * SEARCH_SPEED_FACTOR, delta, obstacles, raycaster, mapMeta);
+    if (arrived || distanceXZ(enemy.position, ai.searchPoint) < 1.1 || now - ai.searchStartedAt > SEARCH_TRAVEL_TIMEOUT_MS) {
+        ai.searchArrivedAt = now;
+    }
+    return !ai.searchSweeping && !ai.searchArrivedAt;
+}
+
+function updateReposition(enemy, speed, delta, obstacles, raycaster, mapMeta) {
     const ai = enemy.userData.ai;
     if (!ai.repositionTarget) return true;
+    if (distanceXZ(enemy.position, ai.repositionTarget) < 1.1) return true;
 
-    const target = new THREE.Vector3(ai.repositionTarget.x, 0, ai.repositionTarget.z);
-    const desired = new THREE.Vector3().subVectors(target, enemy.position);
-    desired.y = 0;
-    if (desired.lengthSq() < 1.2) {
-        return true;
+    const { arrived } = followPath(enemy, ai.repositionTarget, speed * 0.9, delta, obstacles, raycaster, mapMeta);
+    return arrived;
+}
+
+function isWounded(enemy) {
+    return enemy.health < enemy.healthMax * WOUNDED_HEALTH_SHARE;
+}
+
+// Pinned down by fire or badly hurt, a droid would rather fight from cover
+function needsCover(enemy) {
+    return enemy.userData.ai.suppression >= SUPPRESSED_LEVEL || isWounded(enemy);
+}
+
+function setCoverPhase(ai, phase, now) {
+    ai.coverPhase = phase;
+    ai.coverPhaseAt = now;
+}
+
+/**
+ * Claims the best cover point from the player and starts running to it
+ * @returns {boolean} False when no free point in reach hides the droid
+ */
+function takeCover(enemy, player, mapMeta, now, exclude = null) {
+    const ai = enemy.userData.ai;
+    const point = findCoverPoint(mapMeta.coverPoints || [], enemy, player.position, COVER_SEARCH_RADIUS, exclude);
+    if (!point) return false;
+
+    claimCoverPoint(enemy, point);
+    ai.coverPeeks = 0;
+    ai.peekPoint = null;
+    setCoverPhase(ai, 'MOVING', now);
+    log(CATEGORIES.AI_STATE, LEVELS.DEBUG, `${enemy.name} taking cover`, {
+        point: point.id,
+        x: point.x.toFixed(1),
+        z: point.z.toFixed(1),
+        suppression: ai.suppression.toFixed(2),
+        health: enemy.health
+    });
+    return true;
+}
+
+/**
+ * Runs to the claimed cover point, then alternates hiding behind its block
+ * and stepping out past the block's edge (PEEKING) until the player is in
+ * sight, holding there to shoot (FIRING).
+ * @returns {string|null} Why the droid should leave the point - 'FLANKED'
+ *          (the block no longer hides it), 'NO_PEEK' (no spot to shoot from),
+ *          'STUCK', 'LOST' or 'RECOVERED' - or null while it holds the point
+ */
+function updateTakeCover(enemy, player, hasLOS, speed, delta, obstacles, raycaster, mapMeta, now) {
+    const ai = enemy.userData.ai;
+    const point = ai.coverPoint;
+    const elapsed = now - ai.coverPhaseAt;
+
+    if (!isCoveredFrom(point, player.position)) return 'FLANKED';
+
+    if (ai.coverPhase === 'MOVING') {
+        const { arrived } = followPath(enemy, point, speed * COVER_SPEED_FACTOR, delta, obstacles, raycaster, mapMeta);
+        if (arrived || distanceXZ(enemy.position, point) < NAV_WAYPOINT_RADIUS) {
+            setCoverPhase(ai, 'HIDING', now);
+        } else if (elapsed > COVER_MOVE_TIMEOUT_MS) {
+            return 'STUCK';
+        }
+        return null;
     }
 
-    const origin = enemy.position.clone();
-    origin.y += 1.0;
-    const steered = getSteeredDirection(origin, desired, obstacles, raycaster);
-    moveEnemy(enemy, steered, speed * 0.9, delta, obstacles, raycaster, worldBounds);
-    return false;
+    if (ai.coverPhase === 'PEEKING') {
+        if (hasLOS) {
+            setCoverPhase(ai, 'FIRING', now);
+        } else if (distanceXZ(enemy.position, ai.peekPoint) > COVER_PEEK_ARRIVE) {
+            steerToward(enemy, ai.peekPoint, speed, delta, obstacles, raycaster, mapMeta.worldBounds);
+        } else if (elapsed > COVER_PEEK_MS) {
+            return 'NO_PEEK';
+        }
+        return null;
+    }
+
+    if (ai.coverPhase === 'FIRING') {
+        // A sniper finishes charging before ducking back
+        if (elapsed > COVER_PEEK_MS && !ai.chargeStartedAt) {
+            ai.coverPeeks++;
+            ai.peekPoint = null;
+            setCoverPhase(ai, 'HIDING', now);
+        }
+        return null;
+    }
+
+    if (now - ai.lastSeenPlayerAt > COVER_LOST_MS) return 'LOST';
+    if (distanceXZ(enemy.position, point) > NAV_WAYPOINT_RADIUS) {
+        followPath(enemy, point, speed, delta, obstacles, raycaster, mapMeta);
+        return null;
+    }
+    if (elapsed < COVER_HIDE_MS) return null;
+    if (ai.coverPeeks >= COVER_MIN_PEEKS && !needsCover(enemy)) return 'RECOVERED';
+
+    const target = player.position;
+    ai.peekPoint = getPeekPoints(point, target).find(spot =>
+        hasLineOfSight(new THREE.Vector3(spot.x, 1.0, spot.z), target, obstacles, raycaster)
+    ) || null;
+    if (!ai.peekPoint) return 'NO_PEEK';
+
+    setCoverPhase(ai, 'PEEKING', now);
+    return null;
+}
+
+// Ranged attack for a droid with the player in its sights; melee droids strike in ENGAGE
+function fireAtPlayer(enemy, player, attack, fireRate, damage, range, canShoot, now, scene, enemyBullets) {
+    if (attack.type === 'CHARGED_LASER') {
+        updateChargedShot(enemy, player, attack, fireRate, damage, range, canShoot, now, scene, enemyBullets);
+    } else if (canShoot) {
+        enemyFire(enemy, player, fireRate, damage, range, scene, enemyBullets);
+    }
 }
 
 /**
  * Updates enemy AI with role-aware finite states.
+ * With a squad, droids share the last known player position and squad roles
+ * shape the states: suppressors engage from further out and fire faster,
+ * flankers FLANK to a point beside the player before closing in, the rear
+ * guard keeps its distance, and the rest advance during a coordinated push
+ * while the suppressor keeps firing.
+ * Droids that have not confirmed the player build up ai.awareness (0-1):
+ * sight inside a forward vision cone (range shrinking with the player's light
+ * exposure) fills it gradually, noises bump it, and damage or a squad
+ * sighting fill it at once. Awareness drives PATROL -> SUSPICIOUS (stop and
+ * look) -> SEARCH (sweep the last known position) -> CHASE, and drains back
+ * to PATROL without a stimulus. Droids already fighting move to a noise they
+ * hear instead.
+ * Archetypes scale the base enemyConfig and change the attack: snipers hold
+ * their distance and charge a visible laser before each shot, rushers close
+ * in and strike through onPlayerHit, and drones hover over cover.
+ * Near misses and hits build up ai.suppression, which drains over time. A
+ * suppressed or badly hurt droid with a ranged attack switches to TAKE_COVER:
+ * it runs to a point behind a block that hides it from the player
+ * (mapMeta.coverPoints), peeks out past the block's edge to shoot and falls
+ * back to another point when flanked.
  */
-export function updateEnemies(delta, enemies, player, obstacles, enemyConfig, scene, enemyBullets, raycaster, mapMeta, isCombatPhase) {
+export function updateEnemies(delta, enemies, player, obstacles, enemyConfig, scene, enemyBullets, raycaster, mapMeta, isCombatPhase, smokeClouds = [], squad = null, noiseEvents = [], playerLight = 50, onPlayerHit = () => {}) {
     const solidObstacles = getSolidObstacles(obstacles);
     const now = Date.now();
+    const sightRange = getSightRange(playerLight);
+    // The floor boss runs its own routine (updateBoss)
+    const droids = enemies.filter(enemy => enemy.userData.ai);
 
-    enemies.forEach(enemy => {
+    if (squad && isCombatPhase) {
+        updateSquad(squad, droids, now);
+    }
+    const pushing = squad ? isSquadPushing(squad, now) : false;
+
+    droids.forEach(enemy => {
         const ai = enemy.userData.ai;
-        if (!ai) return;
+        const archetype = getArchetype(enemy);
+        const config = getDroidConfig(enemyConfig, archetype);
+        const attack = archetype.attack;
+
+        ai.suppression = Math.max(0, ai.suppression - SUPPRESSION_DECAY * delta);
+
+        if (archetype.hoverHeight) {
+            enemy.position.y = archetype.hoverHeight + Math.sin(now * 0.003 + enemy.userData.id) * HOVER_BOB_AMPLITUDE;
+        }
+
+        // EMP: frozen in place with a glitching twitch until the stun wears off
+        if (ai.stunnedUntil > now) {
+            cancelCharge(enemy);
+            setAIState(enemy, 'STUNNED');
+            enemy.rotation.z = Math.sin(now * 0.04) * 0.08;
+            return;
+        }
+        if (ai.state === 'STUNNED') {
+            enemy.rotation.z = 0;
+            setAIState(enemy, ai.role === 'ZONE_GUARD' ? 'PATROL' : 'CHASE');
+        }
 
         if (!isCombatPhase) {
+            ai.awareness = 0;
+            ai.hasLOS = false;
             if (ai.role === 'ZONE_GUARD') {
                 setAIState(enemy, 'PATROL');
             }
             return;
         }
 
+        const startX = enemy.position.x;
+        const startZ = enemy.position.z;
         const enemyOrigin = enemy.position.clone();
         enemyOrigin.y += 1.0;
         const playerCenter = player.position.clone();
         const distance = enemy.position.distanceTo(player.position);
-        const hasLOS = hasLineOfSight(enemyOrigin, playerCenter, solidObstacles, raycaster);
+        const hasLOS = hasLineOfSight(enemyOrigin, playerCenter, solidObstacles, raycaster) &&
+            !isSightBlockedBySmoke(enemyOrigin, playerCenter, smokeClouds);
+        // Read by the AI debug overlay
+        ai.hasLOS = hasLOS;
+
+        const inCone = hasLOS && isInVisionCone(enemy, player.position, distance, sightRange);
+        if (inCone) {
+            fillAwarenessFromSight(ai, distance, sightRange, delta);
+            ai.stimulus = { x: player.position.x, z: player.position.z };
+        }
+        // Droids already fighting the player keep them with plain line of sight
+        const seesPlayer = hasLOS && (isCombatState(ai.state) || ai.awareness >= 1);
 
-        if (hasLOS) {
+        if (seesPlayer) {
             ai.lastSeenPlayerAt = now;
+            if (squad) {
+                reportSighting(squad, enemy, player.position, now);
+            }
         }
 
-        if (distance < AI_DETECTION_RANGE && hasLOS) {
-            if (ai.state === 'PATROL') {
-                setAIState(enemy, 'CHASE');
+        // Without sight of the player, hunt where the squad last saw them
+        const huntTarget = squad && !seesPlayer && squad.lastKnownPosition ? squad.lastKnownPosition : player.position;
+        const squadRole = ai.squadRole || null;
+        const isSuppressor = squadRole === SQUAD_ROLES.SUPPRESSOR;
+        const isRearGuard = squadRole === SQUAD_ROLES.REAR_GUARD;
+        const isMelee = attack.type === 'MELEE';
+        const baseRange = isMelee ? MELEE_DROID_ENGAGE_RANGE : config.range;
+        const engageRange = isSuppressor ? baseRange * SUPPRESSOR_RANGE_FACTOR : baseRange;
+        const fireRate = isSuppressor ? config.fireRate * SUPPRESSOR_FIRE_RATE : config.fireRate;
+        // Snipers keep their sightline instead of joining a push
+        const holdsPosition = isRearGuard || isSuppressor || attack.type === 'CHARGED_LASER';
+        // A push drags droids out of cover unless they are too hurt to join it
+        const joinsPush = pushing && !holdsPosition && !isWounded(enemy);
+
+        const alerted = Boolean(squad && hasFreshSighting(squad, now));
+        const heard = noiseEvents.length > 0 && canHearNoise(ai, seesPlayer, alerted)
+            ? listenForNoise(enemy, noiseEvents, solidObstacles, raycaster)
+            : null;
+
+        if (isCombatState(ai.state)) {
+            ai.awareness = 1;
+            if (heard) {
+                ai.repositionTarget = { x: heard.noise.position.x, z: heard.noise.position.z };
+                setAIState(enemy, 'REPOSITION');
             }
+        } else if (ai.state !== 'STUNNED') {
+            if (!inCone && !heard && !(ai.state === 'SEARCH' && ai.searchTravelling)) {
+                ai.awareness = Math.max(0, ai.awareness - AWARENESS_DECAY * delta);
+            }
+            if (heard) {
+                ai.awareness = Math.min(
+                    Math.max(ai.awareness, NOISE_AWARENESS_CAP),
+                    ai.awareness + NOISE_AWARENESS_BASE + NOISE_AWARENESS_LOUDNESS * heard.loudness
+                );
+                setSearchTarget(ai, heard.noise.position, now);
+            }
+            if (alerted || ai.role === 'PURSUER') {
+                ai.awareness = 1;
+            }
+
+            if (ai.awareness >= 1) {
+                log(CATEGORIES.AI_STATE, LEVELS.DEBUG, `${enemy.name} spotted player`, {
+                    distance: distance.toFixed(1),
+                    sightRange: sightRange.toFixed(1),
+                    from: ai.state
+                });
+                ai.searchPoint = null;
+                setAIState(enemy, seesPlayer && distance <= engageRange ? 'ENGAGE' : 'CHASE');
+            } else {
+                const alertState = getAlertState(ai.awareness);
+                if (alertState === 'SEARCH' && ai.state !== 'SEARCH') {
+                    setSearchTarget(ai, ai.stimulus || enemy.position, now);
+                }
+                setAIState(enemy, alertState);
+            }
+        }
+
+        // Flankers swing wide once per push cycle before closing in
+        if (squadRole === SQUAD_ROLES.FLANKER && !ai.flankReady && !pushing &&
+            (ai.state === 'CHASE' || ai.state === 'ENGAGE') && squad.lastKnownPosition) {
+            ai.flankStartedAt = now;
+            setAIState(enemy, 'FLANK');
         }
 
-        if (ai.role === 'PURSUER' && ai.state === 'PATROL') {
-            setAIState(enemy, 'CHASE');
+        if ((ai.state === 'ENGAGE' || ai.state === 'CHASE') && hasLOS && !isMelee && !ai.flying &&
+            !joinsPush && needsCover(enemy) && takeCover(enemy, player, mapMeta, now)) {
+            setAIState(enemy, 'TAKE_COVER');
         }
 
         if (ai.state === 'PATROL') {
             updatePatrol(
                 enemy,
                 mapMeta,
-                enemyConfig.speed,
+                config.speed,
+                delta,
+                solidObstacles,
+                raycaster
+            );
+        } else if (ai.state === 'SEARCH') {
+            ai.searchTravelling = updateSearch(
+                enemy,
+                config.speed,
                 delta,
                 solidObstacles,
                 raycaster,
-                mapMeta.worldBounds
+                mapMeta,
+                now
             );
+        } else if (ai.state === 'FLANK') {
+            const flankPoint = getFlankPoint(squad, enemy, droids, mapMeta.worldBounds);
+            const { arrived } = flankPoint
+                ? followPath(enemy, flankPoint, config.speed * FLANK_SPEED_FACTOR, delta, solidObstacles, raycaster, mapMeta)
+                : { arrived: true };
+            const closeContact = hasLOS && distance < config.range * 0.6;
+
+            if (arrived || closeContact || pushing || now - ai.flankStartedAt > FLANK_TIMEOUT_MS) {
+                ai.flankReady = true;
+                log(CATEGORIES.AI_STATE, LEVELS.DEBUG, `${enemy.name} flank complete`, {
+                    reason: arrived ? 'in position' : closeContact ? 'contact' : pushing ? 'push' : 'timeout'
+                });
+                setAIState(enemy, hasLOS && distance <= config.range ? 'ENGAGE' : 'CHASE');
+            }
         } else if (ai.state === 'CHASE') {
+            const chaseTarget = isRearGuard ? getRearGuardPoint(enemy, huntTarget, mapMeta.worldBounds) : huntTarget;
             const blocked = updateChase(
                 enemy,
-                player,
-                enemyConfig.speed,
+                chaseTarget,
+                config.speed,
                 delta,
                 solidObstacles,
                 raycaster,
-                mapMeta.worldBounds
+                mapMeta
             );
 
-            if (distance <= enemyConfig.range * 0.95 && hasLOS) {
+            if (distance <= engageRange * 0.95 && hasLOS) {
                 setAIState(enemy, 'ENGAGE');
             } else if (!hasLOS && now - ai.lastSeenPlayerAt > REPOSITION_TIMEOUT_MS) {
-                ai.repositionTarget = pickRepositionTarget(player, mapMeta.worldBounds);
+                ai.repositionTarget = pickRepositionTarget(huntTarget, mapMeta.worldBounds);
                 setAIState(enemy, 'REPOSITION');
             } else if (blocked) {
-                ai.repositionTarget = pickRepositionTarget(player, mapMeta.worldBounds);
+                ai.repositionTarget = pickRepositionTarget(huntTarget, mapMeta.worldBounds);
                 setAIState(enemy, 'REPOSITION');
             }
         } else if (ai.state === 'ENGAGE') {
+            const retreatDistance = isRearGuard ? REAR_GUARD_DISTANCE * 0.7 : archetype.retreatDistance;
+
             if (!hasLOS && now - ai.lastSeenPlayerAt > 1200) {
                 setAIState(enemy, 'CHASE');
-            } else if (distance < 3.2) {
+            } else if (isMelee) {
+                if (distanceXZ(enemy.position, player.position) > attack.meleeRange) {
+                    updateChase(
+                        enemy,
+                        player.position,
+                        config.speed,
+                        delta,
+                        solidObstacles,
+                        raycaster,
+                        mapMeta
+                    );
+                }
+            } else if (distance < retreatDistance) {
                 const retreat = new THREE.Vector3().subVectors(enemy.position, player.position);
                 retreat.y = 0;
                 moveEnemy(
                     enemy,
                     retreat.normalize(),
-                    enemyConfig.speed * 0.8,
+                    config.speed * 0.8,
                     delta,
                     solidObstacles,
                     raycaster,
                     mapMeta.worldBounds
                 );
-            } else if (distance > enemyConfig.range * 1.1) {
+            } else if (pushing && !holdsPosition && distance > PUSH_CLOSE_DISTANCE) {
                 updateChase(
                     enemy,
-                    player,
-                    enemyConfig.speed * 0.9,
+                    player.position,
+                    config.speed * PUSH_SPEED_FACTOR,
                     delta,
                     solidObstacles,
                     raycaster,
-                    mapMeta.worldBounds
+                    mapMeta
+                );
+            } else if (distance > engageRange * 1.1) {
+                updateChase(
+                    enemy,
+                    player.position,
+                    config.speed * 0.9,
+                    delta,
+                    solidObstacles,
+                    raycaster,
+                    mapMeta
                 );
             }
 
-            if (hasLOS && distance < enemyConfig.range + 2) {
-                enemyFire(enemy, player, enemyConfig.fireRate, enemyConfig.damage, enemyConfig.range, scene, enemyBullets);
+            if (isMelee) {
+                if (hasLOS && distanceXZ(enemy.position, player.position) <= attack.meleeRange) {
+                    meleeStrike(enemy, attack, config.damage, now, onPlayerHit);
+                }
+            } else {
+                fireAtPlayer(enemy, player, attack, fireRate, config.damage, engageRange, hasLOS && distance < engageRange + 2, now, scene, enemyBullets);
             }
 
             if (!hasLOS && now - ai.lastSeenPlayerAt > REPOSITION_TIMEOUT_MS) {
-                ai.repositionTarget = pickRepositionTarget(player, mapMeta.worldBounds);
+                ai.repositionTarget = pickRepositionTarget(huntTarget, mapMeta.worldBounds);
                 setAIState(enemy, 'REPOSITION');
             }
+        } else if (ai.state === 'TAKE_COVER') {
+            const reason = joinsPush
+                ? 'PUSH'
+                : updateTakeCover(enemy, player, hasLOS, config.speed, delta, solidObstacles, raycaster, mapMeta, now);
+
+            if (reason) {
+                const abandoned = ai.coverPoint;
+                log(CATEGORIES.AI_STATE, LEVELS.DEBUG, `${enemy.name} leaving cover`, {
+                    reason,
+                    point: abandoned.id,
+                    peeks: ai.coverPeeks
+                });
+                // Flanked or unable to shoot from here: fall back to another point
+                const relocated = (reason === 'FLANKED' || reason === 'NO_PEEK') &&
+                    takeCover(enemy, player, mapMeta, now, abandoned);
+                if (!relocated) {
+                    setAIState(enemy, hasLOS && distance <= engageRange ? 'ENGAGE' : 'CHASE');
+                }
+            }
+
+            const exposed = ai.state === 'TAKE_COVER' && ai.coverPhase === 'FIRING';
+            fireAtPlayer(enemy, player, attack, fireRate, config.damage, engageRange, exposed && hasLOS && distance < engageRange + 2, now, scene, enemyBullets);
         } else if (ai.state === 'REPOSITION') {
             const done = updateReposition(
                 enemy,
-                enemyConfig.speed,
+                config.speed,
                 delta,
                 solidObstacles,
                 raycaster,
-                mapMeta.worldBounds
+                mapMeta
             );
 
             if (done) {
                 ai.repositionTarget = null;
-                if (distance <= enemyConfig.range && hasLOS) {
+                if (distance <= engageRange && seesPlayer) {
                     setAIState(enemy, 'ENGAGE');
-                } else if (ai.role === 'ZONE_GUARD') {
-                    setAIState(enemy, 'PATROL');
+                } else if (ai.role === 'ZONE_GUARD' && !alerted) {
+                    // Lost the player: sweep where they were last seen
+                    ai.awareness = SEARCH_RESUME_AWARENESS;
+                    setSearchTarget(ai, huntTarget, now);
+                    setAIState(enemy, 'SEARCH');
                 } else {
                     setAIState(enemy, 'CHASE');
                 }
-            } else if (distance <= enemyConfig.range && hasLOS) {
+            } else if (distance <= engageRange && seesPlayer) {
                 ai.repositionTarget = null;
                 setAIState(enemy, 'ENGAGE');
             }
         }
 
-        enemy.lookAt(player.position.x, enemy.position.y + 1.0, player.position.z);
+        if (ai.state !== 'ENGAGE' && ai.state !== 'TAKE_COVER') {
+            cancelCharge(enemy);
+        }
+
+        if (ai.state === 'SUSPICIOUS' && ai.stimulus) {
+            enemy.lookAt(ai.stimulus.x, enemy.position.y + 1.0, ai.stimulus.z);
+        } else if (ai.state === 'SEARCH' && ai.searchArrivedAt) {
+            enemy.rotation.y += Math.sin(now * 0.002) * delta * 2;
+        } else if (isCombatState(ai.state) || seesPlayer) {
+            enemy.lookAt(player.position.x, enemy.position.y + 1.0, player.position.z);
+        } else if (Math.hypot(enemy.position.x - startX, enemy.position.z - startZ) > 0.001) {
+            // Droids still looking for the player face where they are walking
+            enemy.lookAt(
+                enemy.position.x * 2 - startX,
+                enemy.position.y,
+                enemy.position.z * 2 - startZ
+            );
+        }
+    });
+}
+
+function spawnEnemyBullet(origin, direction, speed, damage, range, scene, enemyBullets, tracerKey, tracerStyle) {
+    const tracer = acquireTracer(scene, tracerKey, tracerStyle);
+    placeTracer(tracer, origin, direction);
+
+    enemyBullets.push({
+        position: origin,
+        direction,
+        speed,
+        range,
+        damage,
+        tracer,
+        distance: 0
     });
 }
 
@@ -383,107 +993,937 @@ function enemyFire(enemy, player, enemyFireRate, enemyDamage, enemyRange, scene,
     const origin = enemy.position.clone();
     origin.y += 1;
 
-    const tracer = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.05, 0.05, 0.5, 8),
-        new THREE.MeshBasicMaterial({ color: 0xff0000, transparent: true, opacity: 0.82 })
-    );
-    tracer.position.copy(origin);
-    tracer.lookAt(origin.clone().add(direction));
-    tracer.rotateX(Math.PI / 2);
-    scene.add(tracer);
+    spawnEnemyBullet(origin, direction, ENEMY_BULLET_SPEED, enemyDamage, enemyRange, scene, enemyBullets, 'droid', DROID_TRACER_STYLE);
+}
 
-    enemyBullets.push({
-        position: origin,
+function cancelCharge(enemy) {
+    const ai = enemy.userData.ai;
+    if (!ai || !ai.chargeStartedAt) return;
+
+    ai.chargeStartedAt = 0;
+    if (enemy.userData.laser) {
+        enemy.userData.laser.visible = false;
+    }
+}
+
+/**
+ * Sniper attack: the laser locks on and brightens for chargeTime, then a fast,
+ * accurate round is fired along it. Losing sight cancels the charge.
+ */
+function updateChargedShot(enemy, player, attack, fireRate, damage, range, canSee, now, scene, enemyBullets) {
+    const ai = enemy.userData.ai;
+    const laser = enemy.userData.laser;
+
+    if (!canSee) {
+        cancelCharge(enemy);
+        return;
+    }
+    if (!ai.chargeStartedAt) {
+        if (now - enemy.lastShot < fireRate) return;
+        ai.chargeStartedAt = now;
+        log(CATEGORIES.AI_STATE, LEVELS.DEBUG, `${enemy.name} charging shot`);
+    }
+
+    const progress = Math.min(1, (now - ai.chargeStartedAt) / (attack.chargeTime * 1000));
+    if (laser) {
+        const laserStart = laser.getWorldPosition(new THREE.Vector3());
+        laser.visible = true;
+        laser.lookAt(player.position);
+        laser.scale.z = laserStart.distanceTo(player.position);
+        laser.material.opacity = 0.2 + progress * 0.7;
+    }
+    if (progress < 1) return;
+
+    cancelCharge(enemy);
+    enemy.lastShot = now;
+
+    const origin = enemy.position.clone();
+    origin.y += 1;
+    const direction = new THREE.Vector3().subVectors(player.position, origin).normalize();
+    spawnEnemyBullet(
+        origin,
         direction,
-        speed: 0.8,
-        range: enemyRange,
-        damage: enemyDamage,
-        mesh: tracer,
-        distance: 0
+        ENEMY_BULLET_SPEED * attack.bulletSpeedFactor,
+        damage,
+        range + 2,
+        scene,
+        enemyBullets,
+        'droid_sniper',
+        SNIPER_TRACER_STYLE
+    );
+}
+
+// Rushers hit the player directly once in reach; lastShot doubles as the swing cooldown
+function meleeStrike(enemy, attack, damage, now, onPlayerHit) {
+    if (now - enemy.lastShot < attack.cooldown * 1000) return;
+
+    enemy.lastShot = now;
+    log(CATEGORIES.COMBAT, LEVELS.INFO, `${enemy.name} melee strike`, { damage: Math.round(damage) });
+    onPlayerHit(damage);
+}
+
+function getBossStage(state) {
+    return state.definition.stages[state.stageIndex];
+}
+
+// Blows off the armor plates over the weak points a stage exposes
+function exposeWeakPoints(boss, weakPoints) {
+    boss.children.forEach(part => {
+        if (part.userData.covers && weakPoints.includes(part.userData.covers)) {
+            part.visible = false;
+        }
     });
 }
 
+function updateBossStage(boss, now, onStageChange) {
+    const state = boss.userData.boss;
+    const stages = state.definition.stages;
+    const healthShare = boss.health / state.healthMax;
+    const previousStage = state.stageIndex;
+
+    while (state.stageIndex + 1 < stages.length && healthShare <= stages[state.stageIndex + 1].at) {
+        state.stageIndex++;
+        exposeWeakPoints(boss, stages[state.stageIndex].exposes || []);
+    }
+    if (state.stageIndex === previousStage) return;
+
+    state.attackIndex = 0;
+    state.nextAttackAt = Math.max(state.nextAttackAt, now + BOSS_ATTACK_GRACE_MS);
+    log(CATEGORIES.AI_STATE, LEVELS.INFO, `${boss.name} stage ${state.stageIndex + 1}`, {
+        health: boss.health,
+        exposes: (getBossStage(state).exposes || []).join(',') || 'none'
+    });
+    onStageChange(boss, state.stageIndex);
+}
+
+// Turns at the stage's turn speed so the player can circle round to the vents
+function turnBossToward(boss, target, turnSpeed, delta) {
+    const desired = Math.atan2(target.x - boss.position.x, target.z - boss.position.z);
+    const difference = Math.atan2(Math.sin(desired - boss.rotation.y), Math.cos(desired - boss.rotation.y));
+    const step = turnSpeed * delta;
+    boss.rotation.y += Math.max(-step, Math.min(step, difference));
+}
+
+function pickBossAttack(state, distance, addsAlive) {
+    const stage = getBossStage(state);
+    const attacks = state.definition.attacks;
+
+    for (let tries = 0; tries < stage.attacks.length; tries++) {
+        const type = stage.attacks[state.attackIndex % stage.attacks.length];
+        state.attackIndex++;
+        if (type === 'SUMMON' && addsAlive >= attacks.SUMMON.maxAdds) continue;
+        if (type === 'SLAM' && distance > attacks.SLAM.radius * BOSS_SLAM_REACH) continue;
+        return type;
+    }
+    return null;
+}
+
+// One fan of rounds from alternating shoulder cannons
+function fireBossVolley(boss, player, config, damage, volley, scene, enemyBullets) {
+    const side = volley % 2 === 0 ? 1 : -1;
+    boss.updateMatrixWorld(true);
+    const origin = boss.localToWorld(new THREE.Vector3(BOSS_MUZZLE.x * side, BOSS_MUZZLE.y, BOSS_MUZZLE.z));
+    const aim = new THREE.Vector3().subVectors(player.position, origin).normalize();
+    const up = new THREE.Vector3(0, 1, 0);
+
+    for (let i = 0; i < config.rounds; i++) {
+        const offset = config.rounds > 1 ? i / (config.rounds - 1) - 0.5 : 0;
+        const direction = aim.clone().applyAxisAngle(up, offset * config.spread);
+        spawnEnemyBullet(
+            origin.clone(),
+            direction,
+            ENEMY_BULLET_SPEED * config.speedFactor,
+            damage,
+            BOSS_BARRAGE_RANGE,
+            scene,
+            enemyBullets,
+            'boss',
+            BOSS_TRACER_STYLE
+        );
+    }
+}
+
+/**
+ * Ground slam: a ring grows to the slam radius over the windup, then hits a
+ * grounded player inside it with no cover in between. Jumping dodges it.
+ */
+function updateBossSlam(boss, attack, config, damage, elapsed, player, playerGrounded, obstacles, raycaster, onPlayerHit) {
+    const ring = boss.userData.slamRing;
+    const progress = Math.min(1, elapsed / config.windup);
+    ring.visible = true;
+    ring.scale.setScalar(Math.max(0.01, config.radius * progress));
+    ring.material.opacity = 0.2 + 0.5 * progress;
+
+    if (progress >= 1 && !attack.resolved) {
+        attack.resolved = true;
+        ring.material.opacity = 0.95;
+
+        const distance = distanceXZ(boss.position, player.position);
+        const from = boss.position.clone().setY(0.5);
+        const to = new THREE.Vector3(player.position.x, 0.5, player.position.z);
+        const hit = distance <= config.radius && playerGrounded && hasLineOfSight(from, to, obstacles, raycaster);
+        log(CATEGORIES.COMBAT, LEVELS.INFO, `${boss.name} ground slam`, {
+            distance: distance.toFixed(1),
+            grounded: playerGrounded,
+            hit
+        });
+        if (hit) {
+            onPlayerHit(damage);
+        }
+    }
+
+    if (elapsed < config.windup + BOSS_SLAM_FLASH_SECONDS) return false;
+    ring.visible = false;
+    return true;
+}
+
+// Advances the running attack; returns true once it is over
+function updateBossAttack(boss, player, playerGrounded, obstacles, raycaster, scene, enemyBullets, addsAlive, now, onPlayerHit, onSummon) {
+    const state = boss.userData.boss;
+    const attack = state.attack;
+    const config = state.definition.attacks[attack.type];
+    const damage = (config.damage || 0) * state.damageScale;
+    const elapsed = (now - attack.startedAt) / 1000;
+
+    if (attack.type === 'BARRAGE') {
+        const volleysDue = Math.min(config.volleys, Math.floor(elapsed / config.interval) + 1);
+        while (attack.step < volleysDue) {
+            fireBossVolley(boss, player, config, damage, attack.step, scene, enemyBullets);
+            attack.step++;
+        }
+        return attack.step >= config.volleys;
+    }
+
+    if (attack.type === 'SUMMON') {
+        if (elapsed < config.windup) return false;
+        const archetypes = config.archetypes.slice(0, Math.max(0, config.maxAdds - addsAlive));
+        if (archetypes.length > 0) {
+            onSummon(boss, archetypes);
+        }
+        return true;
+    }
+
+    return updateBossSlam(boss, attack, config, damage, elapsed, player, playerGrounded, obstacles, raycaster, onPlayerHit);
+}
+
+/**
+ * Drives the floor boss: stage changes as its health drops, a slow advance
+ * that turns to face the player, and the stage's attacks (BARRAGE, SUMMON,
+ * SLAM) one after another with the stage's cooldown in between. Summoned
+ * droids are created by the caller through onSummon(boss, archetypeKeys).
+ */
+export function updateBoss(delta, boss, enemies, player, playerGrounded, obstacles, scene, enemyBullets, raycaster, mapMeta, isCombatPhase, onPlayerHit, onStageChange, onSummon) {
+    if (!boss || !isCombatPhase || boss.health <= 0) return;
+
+    const state = boss.userData.boss;
+    const solidObstacles = getSolidObstacles(obstacles);
+    const now = Date.now();
+    const distance = distanceXZ(boss.position, player.position);
+    const addsAlive = enemies.filter(enemy => enemy !== boss).length;
+
+    if (!state.nextAttackAt) {
+        state.nextAttackAt = now + BOSS_ATTACK_GRACE_MS;
+    }
+    updateBossStage(boss, now, onStageChange);
+    const stage = getBossStage(state);
+
+    // Slams and summons plant the boss; barrages keep tracking the player
+    const planted = state.attack && state.attack.type !== 'BARRAGE';
+    if (!planted) {
+        turnBossToward(boss, player.position, stage.turnSpeed, delta);
+        if (distance > BOSS_PREFERRED_RANGE) {
+            steerToward(boss, player.position, state.definition.speed, delta, solidObstacles, raycaster, mapMeta.worldBounds);
+        }
+    }
+
+    if (!state.attack && now >= state.nextAttackAt) {
+        const type = pickBossAttack(state, distance, addsAlive);
+        if (type) {
+            state.attack = { type, startedAt: now, step: 0, resolved: false };
+            log(CATEGORIES.AI_STATE, LEVELS.DEBUG, `${boss.name} attack`, { type, stage: state.stageIndex + 1 });
+        } else {
+            state.nextAttackAt = now + stage.cooldown * 500;
+        }
+    }
+
+    if (state.attack && updateBossAttack(boss, player, playerGrounded, solidObstacles, raycaster, scene, enemyBullets, addsAlive, now, onPlayerHit, onSummon)) {
+        state.attack = null;
+        state.nextAttackAt = now + stage.cooldown * 1000;
+    }
+}
+
+function damageEnemy(enemy, damage, enemies, scene, onEnemyKilled, details = {}) {
+    // Already destroyed (a boss's adds, taken down with it mid-blast)
+    if (enemy.health <= 0) return false;
+
+    enemy.health -= damage;
+    // Getting shot removes any doubt about where the player is
+    if (enemy.userData.ai) {
+        enemy.userData.ai.awareness = 1;
+        enemy.userData.ai.suppression += SUPPRESSION_HIT;
+    }
+    log(CATEGORIES.COMBAT, LEVELS.INFO, `${enemy.name} hit`, {
+        ...details,
+        damage,
+        health: enemy.health
+    });
+
+    if (enemy.health > 0) return false;
+
+    const index = enemies.indexOf(enemy);
+    if (index !== -1) {
+        enemies.splice(index, 1);
+    }
+    scene.remove(enemy);
+    onEnemyKilled(enemy);
+    return true;
+}
+
+// Per-part damage of the enemy itself (boss armor and weak points), on top of the weapon's zoneMultipliers
+function getZoneDamageScale(enemy, zone) {
+    return enemy.userData.zoneDamage?.[zone] ?? 1;
+}
+
+// Melee from inside a shielded droid's frontal arc mostly glances off the shield
+function getShieldScale(enemy, attackerPosition) {
+    const shield = getArchetype(enemy).shield;
+    if (!shield) return 1;
+
+    const forward = enemy.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+    const toAttacker = new THREE.Vector3(
+        attackerPosition.x - enemy.position.x,
+        0,
+        attackerPosition.z - enemy.position.z
+    ).normalize();
+    return forward.dot(toAttacker) >= Math.cos(THREE.MathUtils.degToRad(shield.arc)) ? shield.meleeScale : 1;
+}
+
+function getHorizontalForward(camera) {
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+    forward.y = 0;
+    return forward.lengthSq() > 0.0001 ? forward.normalize() : new THREE.Vector3(0, 0, -1);
+}
+
+function getMeleeTargets(player, forward, enemies, maxDistance, arc, obstacles, raycaster) {
+    const targets = [];
+
+    enemies.forEach(enemy => {
+        const toEnemy = new THREE.Vector3(
+            enemy.position.x - player.position.x,
+            0,
+            enemy.position.z - player.position.z
+        );
+        const distance = toEnemy.length();
+        // Archetype hitboxes only widen the broadphase for thin parts; the boss is bulky all the way out
+        const hitRadius = enemy.userData.boss ? enemy.userData.hitbox.halfWidth : MELEE_HIT_RADIUS;
+        if (distance > maxDistance + hitRadius) return;
+
+        const angle = distance > 0.001 ? forward.angleTo(toEnemy) : 0;
+        if (angle > arc / 2) return;
+
+        const enemyCenter = enemy.position.clone();
+        enemyCenter.y += 1.0;
+        if (!hasLineOfSight(player.position, enemyCenter, obstacles, raycaster)) return;
+
+        targets.push({ enemy, distance, angle });
+    });
+
+    return targets.sort((a, b) => a.distance - b.distance);
+}
+
+function applyMeleeLunge(swing, player, forward, enemies, delta, obstacles, raycaster, worldBounds) {
+    if (swing.lunge <= 0 || swing.lunged >= swing.lunge) return;
+
+    const [target] = getMeleeTargets(player, forward, enemies, swing.reach + swing.lunge, swing.arc, obstacles, raycaster);
+    if (!target) return;
+
+    const stopDistance = swing.reach * MELEE_LUNGE_STOP;
+    if (target.distance <= stopDistance) return;
+
+    const lungeSpeed = swing.lunge / Math.max(0.05, swing.windup);
+    const step = Math.min(
+        lungeSpeed * delta,
+        swing.lunge - swing.lunged,
+        target.distance - stopDistance
+    );
+
+    const direction = new THREE.Vector3(
+        target.enemy.position.x - player.position.x,
+        0,
+        target.enemy.position.z - player.position.z
+    ).normalize();
+
+    const oldPos = player.position.clone();
+    player.position.addScaledVector(direction, step);
+    if (checkCollision(player.position.clone(), obstacles, raycaster, 1.2)) {
+        player.position.copy(oldPos);
+        swing.lunged = swing.lunge;
+        return;
+    }
+
+    clampToBounds(player, worldBounds);
+    swing.lunged += step;
+}
+
+/**
+ * Advances pending melee swings: lunges toward the nearest droid in the arc
+ * during windup, then applies arc-based hits at impact. Melee hits count as
+ * torso hits (no per-part multiplier).
+ */
+export function updateMeleeSwings(delta, swings, enemies, player, camera, obstacles, scene, raycaster, worldBounds, onEnemyKilled, onEnemyHit) {
+    const solidObstacles = getSolidObstacles(obstacles);
+
+    for (let i = swings.length - 1; i >= 0; i--) {
+        const swing = swings[i];
+        const forward = getHorizontalForward(camera);
+        swing.elapsed += delta;
+
+        if (swing.elapsed < swing.windup) {
+            applyMeleeLunge(swing, player, forward, enemies, delta, solidObstacles, raycaster, worldBounds);
+            camera.position.copy(player.position);
+            continue;
+        }
+
+        const targets = getMeleeTargets(player, forward, enemies, swing.reach, swing.arc, solidObstacles, raycaster)
+            .slice(0, swing.maxTargets);
+
+        targets.forEach(target => {
+            const shieldScale = getShieldScale(target.enemy, player.position);
+            const damage = Math.round(swing.damage * shieldScale * getZoneDamageScale(target.enemy, 'torso'));
+            const zone = shieldScale < 1 ? 'shield' : 'torso';
+            const killed = damageEnemy(target.enemy, damage, enemies, scene, onEnemyKilled, {
+                zone,
+                weapon: swing.weaponType,
+                distance: target.distance.toFixed(2)
+            });
+            onEnemyHit(target.enemy, { zone, damage, killed });
+        });
+
+        log(CATEGORIES.WEAPON, LEVELS.DEBUG, 'Melee swing resolved', {
+            weapon: swing.weaponType,
+            hits: targets.length,
+            lunged: swing.lunged.toFixed(2)
+        });
+
+        swings.splice(i, 1);
+    }
+}
+
+// Larger enemies (the floor boss, wide archetypes) carry their own userData.hitbox
+function getDroidHitbox(enemy) {
+    const halfWidth = enemy.userData.hitbox ? enemy.userData.hitbox.halfWidth : DROID_HITBOX_HALF_WIDTH;
+    const height = enemy.userData.hitbox ? enemy.userData.hitbox.height : DROID_HITBOX_HEIGHT;
+    return new THREE.Box3(
+        new THREE.Vector3(
+            enemy.position.x - halfWidth,
+            enemy.position.y,
+            enemy.position.z - halfWidth
+        ),
+        new THREE.Vector3(
+            enemy.position.x + halfWidth,
+            enemy.position.y + height,
+            enemy.position.z + halfWidth
+        )
+    );
+}
+
+function getFirstWallHit(from, direction, maxDistance, obstacles, raycaster) {
+    raycaster.set(from, direction);
+    const hits = raycaster.intersectObjects(obstacles);
+    if (hits.length === 0 || hits[0].distance > maxDistance) return null;
+
+    const hit = hits[0];
+    const normal = hit.face
+        ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+        : direction.clone().negate();
+    return { distance: hit.distance, point: hit.point, normal, object: hit.object, enemy: null };
+}
+
+function getDroidPartHit(enemy, from, direction, raycaster) {
+    enemy.updateMatrixWorld(true);
+    raycaster.set(from, direction);
+    const hits = raycaster.intersectObject(enemy, true);
+    // Hidden parts (a boss's blown-off armor) no longer stop rounds
+    return hits.find(hit => hit.object.visible && hit.object.userData.hitZone) || null;
+}
+
+/**
+ * Sweeps a bullet along [from, from + direction * maxDistance] and returns the
+ * earliest wall or droid part it crosses, so nothing tunnels between frames.
+ * The droid box is only a broadphase; the hit zone comes from the part mesh.
+ */
+function sweepBullet(from, direction, maxDistance, enemies, obstacles, raycaster) {
+    let closest = getFirstWallHit(from, direction, maxDistance, obstacles, raycaster);
+    const ray = new THREE.Ray(from, direction);
+
+    enemies.forEach(enemy => {
+        const entry = ray.intersectBox(getDroidHitbox(enemy), new THREE.Vector3());
+        if (!entry) return;
+
+        const entryDistance = from.distanceTo(entry);
+        if (entryDistance > maxDistance || (closest && entryDistance >= closest.distance)) return;
+
+        const part = getDroidPartHit(enemy, from, direction, raycaster);
+        if (!part || part.distance > maxDistance || (closest && part.distance >= closest.distance)) return;
+
+        closest = {
+            distance: part.distance,
+            point: part.point,
+            enemy,
+            zone: part.object.userData.hitZone
+        };
+    });
+
+    return closest;
+}
+
+// Far side of a box along the ray, found by casting back at it from beyond
+function getBoxExit(box, entry, direction) {
+    const span = box.getSize(new THREE.Vector3()).length();
+    const ray = new THREE.Ray(
+        entry.clone().addScaledVector(direction, span),
+        direction.clone().negate()
+    );
+    return ray.intersectBox(box, new THREE.Vector3()) || entry.clone();
+}
+
+// Outward normal of the box face nearest to a point on its surface
+function getBoxFaceNormal(box, point) {
+    const faces = [
+        [point.x - box.min.x, -1, 0, 0],
+        [box.max.x - point.x, 1, 0, 0],
+        [point.y - box.min.y, 0, -1, 0],
+        [box.max.y - point.y, 0, 1, 0],
+        [point.z - box.min.z, 0, 0, -1],
+        [box.max.z - point.z, 0, 0, 1]
+    ];
+    const [, x, y, z] = faces.reduce((best, face) => (face[0] < best[0] ? face : best));
+    return new THREE.Vector3(x, y, z);
+}
+
+/**
+ * Decides whether a round carries on past what it just struck.
+ * Walls are measured along the shot through their box, so a glancing hit
+ * costs more depth than a square one; obstacles without a thickness (or
+ * thicker than the depth left) always stop the round.
+ * @returns {Object|null} { exit, normal, depth, damageScale } or null when the round stops
+ */
+function getPenetration(bullet, hit) {
+    const penetration = bullet.penetration;
+    if (!penetration) return null;
+
+    if (hit.enemy) {
+        if (bullet.enemiesHit.length >= penetration.targets) return null;
+        const hitbox = getDroidHitbox(hit.enemy);
+        const exit = getBoxExit(hitbox, hit.point, bullet.direction);
+        return {
+            exit,
+            normal: getBoxFaceNormal(hitbox, exit),
+            depth: 0,
+            damageScale: 1 - penetration.targetLoss
+        };
+    }
+
+    const thickness = hit.object.userData.thickness;
+    const depthLeft = penetration.depth - bullet.wallDepthUsed;
+    if (thickness === undefined || thickness > depthLeft) return null;
+
+    const box = new THREE.Box3().setFromObject(hit.object);
+    const exit = getBoxExit(box, hit.point, bullet.direction);
+    const depth = hit.point.distanceTo(exit);
+    const damageScale = 1 - penetration.wallLoss * depth;
+    if (depth > depthLeft || damageScale <= 0) return null;
+
+    return { exit, normal: getBoxFaceNormal(box, exit), depth, damageScale };
+}
+
+// Hitscan beams span the whole shot and thin out as they expire
+function stretchTracer(bullet, from, to, widthScale = 1) {
+    const center = from.clone().add(to).multiplyScalar(0.5);
+    placeTracer(bullet.tracer, center, bullet.direction, from.distanceTo(to), widthScale);
+}
+
+// Rounds passing close to a droid's chest suppress it, once per round
+function applyNearMisses(bullet, from, to, enemies) {
+    const segment = new THREE.Line3(from, to);
+    const closest = new THREE.Vector3();
+    enemies.forEach(enemy => {
+        const ai = enemy.userData.ai;
+        if (!ai || bullet.enemiesHit.includes(enemy) || bullet.nearMissed.includes(enemy)) return;
+
+        const chest = enemy.position.clone();
+        chest.y += 1.0;
+        segment.closestPointToPoint(chest, true, closest);
+        if (closest.distanceTo(chest) < SUPPRESSION_RADIUS) {
+            bullet.nearMissed.push(enemy);
+            ai.suppression += SUPPRESSION_NEAR_MISS;
+        }
+    });
+}
+
+function removeBullet(bullets, index) {
+    releaseTracer(bullets[index].tracer);
+    bullets.splice(index, 1);
+}
+
 /**
  * Updates player and enemy bullets, applying damage and cleanup.
+ * Travel is delta-based (bullet.speed is units/second) and every step is a
+ * swept segment test, so hits register the same at any frame rate. Hitscan
+ * bullets resolve their full range on their first update. Damage is scaled by
+ * the weapon's falloff curve at the travelled distance and by its
+ * zoneMultipliers for the droid part that was struck (and the enemy's own
+ * zoneDamage, for boss armor and weak points). Rounds with penetration
+ * carry on through thin walls and further droids at reduced damage;
+ * onBulletImpact receives each wall entry and every exit point
+ * ({ point, normal, direction, object, enemy, exit }) for impact effects,
+ * including droid rounds striking walls. Rounds that strike or pass close
+ * to a droid add to its ai.suppression.
  */
-export function updateBullets(bullets, enemyBullets, enemies, player, obstacles, scene, raycaster, updateHUD, onEnemyKilled, onPlayerHit) {
+export function updateBullets(delta, bullets, enemyBullets, enemies, player, obstacles, scene, raycaster, updateHUD, onEnemyKilled, onPlayerHit, onEnemyHit, onBulletImpact = () => {}) {
     const solidObstacles = getSolidObstacles(obstacles);
 
     for (let i = bullets.length - 1; i >= 0; i--) {
         const bullet = bullets[i];
-        const oldPos = bullet.position.clone();
-
-        bullet.position.add(bullet.direction.clone().multiplyScalar(bullet.speed));
-        bullet.distance += bullet.speed;
-        bullet.mesh.position.copy(bullet.position);
-
-        let hitEnemy = false;
-        for (let j = 0; j < enemies.length; j++) {
-            const enemy = enemies[j];
-            const enemyCenter = enemy.position.clone();
-            enemyCenter.y += 1.0;
-            const distance = bullet.position.distanceTo(enemyCenter);
-
-            if (distance < 1.2) {
-                enemy.health -= bullet.damage;
-                log(CATEGORIES.COMBAT, LEVELS.INFO, `${enemy.name} hit`, {
-                    distance: distance.toFixed(2),
-                    damage: bullet.damage,
-                    health: enemy.health
-                });
 
-                if (enemy.health <= 0) {
-                    scene.remove(enemy);
-                    enemies.splice(j, 1);
-                    onEnemyKilled(enemy);
-                }
+        // Spent hitscan beams linger briefly so the shot reads on screen
+        if (bullet.expiresIn !== undefined) {
+            bullet.expiresIn -= delta;
+            if (bullet.expiresIn <= 0) {
+                removeBullet(bullets, i);
+            } else {
+                stretchTracer(bullet, bullet.start, bullet.position, bullet.expiresIn / HITSCAN_TRACER_SECONDS);
+            }
+            continue;
+        }
+
+        const remaining = bullet.range - bullet.distance;
+        const start = bullet.position.clone();
+        let stepLeft = bullet.hitscan ? remaining : Math.min(remaining, bullet.speed * delta);
+        let stopped = false;
+
+        // A penetrating round can strike several things in one step
+        while (stepLeft > 0) {
+            const targets = enemies.filter(enemy => !bullet.enemiesHit.includes(enemy));
+            const hit = sweepBullet(bullet.position.clone(), bullet.direction, stepLeft, targets, solidObstacles, raycaster);
+            const travelled = hit ? hit.distance : stepLeft;
+
+            bullet.position.addScaledVector(bullet.direction, travelled);
+            bullet.distance += travelled;
+            stepLeft -= travelled;
+            if (!hit) break;
+
+            // Shield plates stop rounds outright
+            if (hit.enemy && hit.zone === 'shield') {
+                bullet.enemiesHit.push(hit.enemy);
+                onBulletImpact({ point: hit.point, normal: bullet.direction.clone().negate(), direction: bullet.direction, object: null, enemy: hit.enemy, exit: false });
+                log(CATEGORIES.COMBAT, LEVELS.DEBUG, 'Round blocked by shield', { droid: hit.enemy.name });
+                stopped = true;
+                break;
+            }
+
+            if (hit.enemy) {
+                const zoneMultiplier = bullet.zoneMultipliers?.[hit.zone] ?? 1;
+                const falloffMultiplier = getFalloffMultiplier(bullet.falloff, bullet.distance);
+                const enemyZoneScale = getZoneDamageScale(hit.enemy, hit.zone);
+                const damage = Math.round(bullet.damage * bullet.damageScale * zoneMultiplier * enemyZoneScale * falloffMultiplier);
+                bullet.enemiesHit.push(hit.enemy);
+                const killed = damageEnemy(hit.enemy, damage, enemies, scene, onEnemyKilled, {
+                    zone: hit.zone,
+                    travelled: bullet.distance.toFixed(2),
+                    falloff: falloffMultiplier,
+                    penetrated: bullet.enemiesHit.length - 1
+                });
+                onEnemyHit(hit.enemy, { zone: hit.zone, damage, killed, point: hit.point, direction: bullet.direction });
+            } else {
+                onBulletImpact({ point: hit.point, normal: hit.normal, direction: bullet.direction, object: hit.object, enemy: null, exit: false });
+            }
 
-                hitEnemy = true;
+            const pierce = getPenetration(bullet, hit);
+            if (!pierce) {
+                stopped = true;
                 break;
             }
+
+            bullet.damageScale *= pierce.damageScale;
+            onBulletImpact({ point: pierce.exit, normal: pierce.normal, direction: bullet.direction, object: hit.object || null, enemy: hit.enemy, exit: true });
+
+            if (!hit.enemy) {
+                const through = pierce.depth + PENETRATION_EXIT_NUDGE;
+                bullet.position.copy(pierce.exit).addScaledVector(bullet.direction, PENETRATION_EXIT_NUDGE);
+                bullet.distance += through;
+                bullet.wallDepthUsed += pierce.depth;
+                stepLeft -= through;
+            }
+
+            log(CATEGORIES.COMBAT, LEVELS.DEBUG, 'Round penetrated', {
+                through: hit.enemy ? hit.enemy.name : 'wall',
+                depth: pierce.depth.toFixed(2),
+                damageScale: bullet.damageScale.toFixed(2)
+            });
         }
 
-        let hitWall = false;
-        raycaster.set(oldPos, bullet.direction);
-        const intersections = raycaster.intersectObjects(solidObstacles);
-        if (intersections.length > 0) {
-            const distanceToWall = oldPos.distanceTo(intersections[0].point);
-            hitWall = distanceToWall <= bullet.speed;
+        applyNearMisses(bullet, start, bullet.position, enemies);
+
+        if (bullet.hitscan) {
+            bullet.start = start;
+            bullet.expiresIn = HITSCAN_TRACER_SECONDS;
+            stretchTracer(bullet, start, bullet.position);
+            continue;
         }
 
-        if (bullet.distance > bullet.range || hitEnemy || hitWall) {
-            scene.remove(bullet.mesh);
-            bullets.splice(i, 1);
+        placeTracer(bullet.tracer, bullet.position, bullet.direction);
+
+        if (stopped || bullet.distance >= bullet.range) {
+            removeBullet(bullets, i);
         }
     }
 
     for (let i = enemyBullets.length - 1; i >= 0; i--) {
         const bullet = enemyBullets[i];
-        const oldPos = bullet.position.clone();
-
-        bullet.position.add(bullet.direction.clone().multiplyScalar(bullet.speed));
-        bullet.distance += bullet.speed;
-        bullet.mesh.position.copy(bullet.position);
-
-        if (bullet.position.distanceTo(player.position) < 1.0) {
+        const step = Math.min(bullet.range - bullet.distance, bullet.speed * delta);
+        const start = bullet.position.clone();
+        const wallHit = getFirstWallHit(start, bullet.direction, step, solidObstacles, raycaster);
+        const travelled = wallHit ? wallHit.distance : step;
+
+        const segment = new THREE.Line3(
+            start,
+            start.clone().addScaledVector(bullet.direction, travelled)
+        );
+        const closest = segment.closestPointToPoint(player.position, true, new THREE.Vector3());
+
+        // Removed before the hit lands: a killing hit ends the game, which clears enemyBullets
+        if (closest.distanceTo(player.position) < PLAYER_HIT_RADIUS) {
+            removeBullet(enemyBullets, i);
+            const liveBullets = enemyBullets.length;
             onPlayerHit(bullet.damage);
-            scene.remove(bullet.mesh);
-            enemyBullets.splice(i, 1);
+            if (enemyBullets.length < liveBullets) break;
             continue;
         }
 
-        let hitWall = false;
-        raycaster.set(oldPos, bullet.direction);
-        const intersections = raycaster.intersectObjects(solidObstacles);
-        if (intersections.length > 0) {
-            const distanceToWall = oldPos.distanceTo(intersections[0].point);
-            hitWall = distanceToWall <= bullet.speed;
+        bullet.position.copy(segment.end);
+        bullet.distance += travelled;
+        placeTracer(bullet.tracer, bullet.position, bullet.direction);
+
+        if (wallHit) {
+            onBulletImpact({ point: wallHit.point, normal: wallHit.normal, direction: bullet.direction, object: wallHit.object, enemy: null, exit: false });
         }
 
-        if (bullet.distance > bullet.range || hitWall) {
-            scene.remove(bullet.mesh);
-            enemyBullets.splice(i, 1);
+        if (wallHit || bullet.distance >= bullet.range) {
+            removeBullet(enemyBullets, i);
         }
     }
 }
 
+/**
+ * Advances a grenade one frame: gravity, a swept bounce off obstacle faces,
+ * the ground plane and the arena bounds.
+ */
+function stepGrenade(grenade, delta, obstacles, raycaster, worldBounds) {
+    grenade.velocity.y -= GRENADE_GRAVITY * delta;
+
+    const step = grenade.velocity.clone().multiplyScalar(delta);
+    const length = step.length();
+    if (length > 0.0001) {
+        const direction = step.clone().divideScalar(length);
+        raycaster.set(grenade.position, direction);
+        const hit = raycaster.intersectObjects(obstacles)[0];
+
+        if (hit && hit.face && hit.distance <= length + grenade.radius) {
+            const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+            grenade.velocity.reflect(normal).multiplyScalar(GRENADE_RESTITUTION);
+            grenade.position.copy(hit.point).addScaledVector(normal, grenade.radius);
+            grenade.bounces += 1;
+        } else {
+            grenade.position.add(step);
+        }
+    }
+
+    if (grenade.position.y <= grenade.radius) {
+        grenade.position.y = grenade.radius;
+        if (grenade.velocity.y < 0) {
+            grenade.velocity.y *= -GRENADE_RESTITUTION;
+            if (grenade.velocity.y < 0.8) grenade.velocity.y = 0;
+            grenade.velocity.x *= GRENADE_GROUND_DAMPING;
+            grenade.velocity.z *= GRENADE_GROUND_DAMPING;
+            grenade.bounces += 1;
+        }
+        const roll = Math.max(0, 1 - GRENADE_ROLL_FRICTION * delta);
+        grenade.velocity.x *= roll;
+        grenade.velocity.z *= roll;
+    }
+
+    if (grenade.position.x < worldBounds.minX || grenade.position.x > worldBounds.maxX) {
+        grenade.velocity.x *= -GRENADE_RESTITUTION;
+    }
+    if (grenade.position.z < worldBounds.minZ || grenade.position.z > worldBounds.maxZ) {
+        grenade.velocity.z *= -GRENADE_RESTITUTION;
+    }
+    clampToBounds(grenade, worldBounds);
+
+    grenade.mesh.position.copy(grenade.position);
+    grenade.mesh.rotation.x += length * 4;
+}
+
+function spawnBlastFlash(position, radius, color, scene, blasts) {
+    const mesh = new THREE.Mesh(
+        BLAST_GEOMETRY,
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.7, depthWrite: false })
+    );
+    mesh.position.copy(position);
+    mesh.scale.setScalar(0.1);
+    scene.add(mesh);
+    blasts.push({ mesh, radius, age: 0 });
+}
+
+function spawnSmokeCloud(position, config, scene, smokeClouds) {
+    const mesh = new THREE.Mesh(
+        SMOKE_GEOMETRY,
+        new THREE.MeshBasicMaterial({ color: config.color, transparent: true, opacity: 0.6, depthWrite: false })
+    );
+    mesh.position.copy(position);
+    mesh.scale.setScalar(0.1);
+    scene.add(mesh);
+
+    smokeClouds.push({
+        position: position.clone(),
+        radius: config.radius,
+        currentRadius: 0,
+        density: 1,
+        age: 0,
+        spreadTime: config.spreadTime,
+        duration: config.duration,
+        mesh
+    });
+}
+
+function detonateFrag(center, config, enemies, player, obstacles, scene, raycaster, onEnemyKilled, onEnemyHit, onPlayerHit) {
+    const falloffAt = distance => 1 - (1 - config.minFalloff) * (distance / config.radius);
+    let hits = 0;
+
+    [...enemies].forEach(enemy => {
+        // Killing the boss clears its adds mid-blast
+        if (enemy.health <= 0 || !enemy.parent) return;
+
+        const target = enemy.position.clone();
+        target.y += 1.0;
+        const distance = center.distanceTo(target);
+        if (distance > config.radius || !hasLineOfSight(center, target, obstacles, raycaster)) return;
+
+        const damage = Math.round(config.damage * falloffAt(distance) * getZoneDamageScale(enemy, 'torso'));
+        const killed = damageEnemy(enemy, damage, enemies, scene, onEnemyKilled, {
+            zone: 'torso',
+            source: 'frag',
+            distance: distance.toFixed(2)
+        });
+        onEnemyHit(enemy, { zone: 'torso', damage, killed });
+        hits += 1;
+    });
+
+    const playerTarget = player.position.clone();
+    playerTarget.y -= 0.6;
+    const playerDistance = center.distanceTo(playerTarget);
+    if (playerDistance <= config.radius && hasLineOfSight(center, playerTarget, obstacles, raycaster)) {
+        onPlayerHit(Math.round(config.damage * falloffAt(playerDistance) * config.selfDamage));
+    }
+
+    return hits;
+}
+
+function detonateEmp(center, config, enemies) {
+    const stunnedUntil = Date.now() + config.stunDuration * 1000;
+    let hits = 0;
+
+    enemies.forEach(enemy => {
+        const ai = enemy.userData.ai;
+        if (!ai || enemy.position.distanceTo(center) > config.radius) return;
+
+        ai.stunnedUntil = Math.max(ai.stunnedUntil || 0, stunnedUntil);
+        hits += 1;
+    });
+
+    return hits;
+}
+
+// Geometries are shared per effect kind; only the effect's own material is freed
+function removeEffect(list, index, scene) {
+    scene.remove(list[index].mesh);
+    list[index].mesh.material.dispose();
+    list.splice(index, 1);
+}
+
+/**
+ * Updates thrown grenades, their blasts and lingering smoke clouds.
+ * Frag damage falls off with distance and needs line of sight from the blast;
+ * EMP stuns every droid in range; smoke clouds grow, linger and fade, and are
+ * read by updateEnemies (sight) and computeLightTelemetry (exposure).
+ */
+export function updateGrenades(delta, thrownGrenades, smokeClouds, blasts, enemies, player, obstacles, scene, raycaster, worldBounds, onEnemyKilled, onEnemyHit, onPlayerHit) {
+    const solidObstacles = getSolidObstacles(obstacles);
+
+    for (let i = thrownGrenades.length - 1; i >= 0; i--) {
+        const grenade = thrownGrenades[i];
+        stepGrenade(grenade, delta, solidObstacles, raycaster, worldBounds);
+
+        grenade.fuse -= delta;
+        if (grenade.fuse > 0) continue;
+
+        const config = grenadeConfig[grenade.type];
+        const center = grenade.position.clone();
+        center.y += 0.3;
+
+        // Removed before detonating: frag self-damage can end the game, which clears every grenade
+        removeEffect(thrownGrenades, i, scene);
+        const liveGrenades = thrownGrenades.length;
+
+        let hits = 0;
+        if (grenade.type === 'frag') {
+            hits = detonateFrag(center, config, enemies, player, solidObstacles, scene, raycaster, onEnemyKilled, onEnemyHit, onPlayerHit);
+            if (thrownGrenades.length < liveGrenades) break;
+        } else if (grenade.type === 'emp') {
+            hits = detonateEmp(center, config, enemies);
+        } else if (grenade.type === 'smoke') {
+            spawnSmokeCloud(center, config, scene, smokeClouds);
+        }
+
+        if (grenade.type !== 'smoke') {
+            spawnBlastFlash(center, config.radius, config.color, scene, blasts);
+        }
+
+        log(CATEGORIES.COMBAT, LEVELS.INFO, 'Grenade detonated', {
+            type: grenade.type,
+            bounces: grenade.bounces,
+            hits,
+            x: center.x.toFixed(1),
+            z: center.z.toFixed(1)
+        });
+    }
+
+    for (let i = blasts.length - 1; i >= 0; i--) {
+        const blast = blasts[i];
+        blast.age += delta;
+        const t = Math.min(1, blast.age / BLAST_FLASH_SECONDS);
+        blast.mesh.scale.setScalar(Math.max(0.1, blast.radius * t));
+        blast.mesh.material.opacity = 0.7 * (1 - t);
+        if (t >= 1) {
+            removeEffect(blasts, i, scene);
+        }
+    }
+
+    for (let i = smokeClouds.length - 1; i >= 0; i--) {
+        const cloud = smokeClouds[i];
+        cloud.age += delta;
+
+        const lifetime = cloud.spreadTime + cloud.duration;
+        const remaining = lifetime - cloud.age;
+        cloud.density = Math.max(0, Math.min(1, remaining / SMOKE_FADE_SECONDS));
+        cloud.currentRadius = cloud.radius * Math.min(1, cloud.age / cloud.spreadTime) * (0.6 + 0.4 * cloud.density);
+
+        cloud.mesh.scale.setScalar(Math.max(0.1, cloud.currentRadius));
+        cloud.mesh.material.opacity = 0.6 * cloud.density;
+
+        if (remaining <= 0) {
+            removeEffect(smokeClouds, i, scene);
+        }
+    }
+}
@@ -0,0 +1,268 @@
+/**
+ * AI debug overlay
+ * In-world view of what the droid AI is doing, toggled at runtime: a label
+ * over each droid with its state and roles, its line of sight to the player
+ * (green when clear, red when blocked) and its reposition target, over the
+ * arena's patrol routes, spawn and pickup nodes, cover points, light zones
+ * and telemetry probes.
+ *
+ * INTENT: Watch droid decisions without turning on the AI_STATE log category
+ *
+ * INVARIANT: Nothing is built while the overlay is off, and switching it off
+ *            removes and disposes everything it added
+ * INVARIANT: The arena layer is rebuilt whenever mapMeta changes (arena swap)
+ * INVARIANT: Overlay objects draw on top of the scene and are never obstacles
+ *            or droid children, so no gameplay raycast touches them
+ * INVARIANT: LOS rays show ai.hasLOS as last computed by updateEnemies()
+ */
+
+import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+
+const LABEL_HEIGHT = 3.0;
+const LABEL_SCALE = { x: 2.4, y: 0.6 };
+const LABEL_CANVAS = { width: 256, height: 64 };
+const EYE_HEIGHT = 1.0;
+const MARKER_HEIGHT = 0.05;           // Lifts floor markings off the floor
+const OVERLAY_RENDER_ORDER = 10;
+const COLORS = {
+    losClear: 0x00e676,
+    losBlocked: 0xff1744,
+    reposition: 0xffab00,
+    patrol: [0x40c4ff, 0xb388ff, 0x64ffda, 0xffd740],
+    enemySpawn: 0xff5252,
+    playerSpawn: 0x69f0ae,
+    bossSpawn: 0xff6d00,
+    pickup: 0xeeff41,
+    cover: 0x18ffff,
+    LIGHT: 0xfff59d,
+    DARK: 0x5c6bc0,
+    probe: 0xffffff
+};
+
+const debugState = {
+    enabled: false,
+    scene: null,
+    mapMeta: null,
+    arenaLayer: null,
+    droids: new Map(),
+    materials: {}
+};
+
+function getLineMaterial(color) {
+    if (!debugState.materials[color]) {
+        debugState.materials[color] = new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true });
+    }
+    return debugState.materials[color];
+}
+
+function createLine(points, color, loop = false) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const line = loop
+        ? new THREE.LineLoop(geometry, getLineMaterial(color))
+        : new THREE.Line(geometry, getLineMaterial(color));
+    line.renderOrder = OVERLAY_RENDER_ORDER;
+    line.frustumCulled = false;
+    return line;
+}
+
+// Small diamond on the floor (or at a height, for probes)
+function createMarker(x, y, z, color, size = 0.35) {
+    return createLine([
+        new THREE.Vector3(x + size, y, z),
+        new THREE.Vector3(x, y, z + size),
+        new THREE.Vector3(x - size, y, z),
+        new THREE.Vector3(x, y, z - size)
+    ], color, true);
+}
+
+function createArenaLayer(mapMeta) {
+    const layer = new THREE.Group();
+    const floor = MARKER_HEIGHT;
+
+    mapMeta.patrolRoutes.forEach((route, i) => {
+        const color = COLORS.patrol[i % COLORS.patrol.length];
+        layer.add(createLine(route.map(node => new THREE.Vector3(node.x, floor, node.z)), color, true));
+        route.forEach(node => layer.add(createMarker(node.x, floor, node.z, color, 0.2)));
+    });
+
+    mapMeta.enemySpawnNodes.forEach(node => layer.add(createMarker(node.x, floor, node.z, COLORS.enemySpawn, 0.6)));
+    layer.add(createMarker(mapMeta.playerSpawn.x, floor, mapMeta.playerSpawn.z, COLORS.playerSpawn, 0.6));
+    if (mapMeta.bossSpawn) {
+        layer.add(createMarker(mapMeta.bossSpawn.x, floor, mapMeta.bossSpawn.z, COLORS.bossSpawn, 1.0));
+    }
+    mapMeta.pickupNodes.forEach(node => layer.add(createMarker(node.x, floor, node.z, COLORS.pickup, 0.45)));
+    (mapMeta.coverPoints || []).forEach(point => layer.add(createMarker(point.x, floor, point.z, COLORS.cover, 0.15)));
+
+    mapMeta.lightZones.forEach(zone => {
+        const { xMin, xMax, zMin, zMax } = zone.bounds;
+        layer.add(createLine([
+            new THREE.Vector3(xMin, floor, zMin),
+            new THREE.Vector3(xMax, floor, zMin),
+            new THREE.Vector3(xMax, floor, zMax),
+            new THREE.Vector3(xMin, floor, zMax)
+        ], COLORS[zone.type] ?? COLORS.LIGHT, true));
+    });
+
+    // Probes: a marker at their height with a drop line to the floor
+    mapMeta.telemetryProbes.forEach(probe => {
+        layer.add(createMarker(probe.x, probe.y, probe.z, COLORS.probe, 0.25 + probe.intensity * 0.2));
+        layer.add(createLine([
+            new THREE.Vector3(probe.x, probe.y, probe.z),
+            new THREE.Vector3(probe.x, floor, probe.z)
+        ], COLORS.probe));
+    });
+
+    return layer;
+}
+
+function disposeGroup(group) {
+    group.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+    });
+}
+
+function createLabel() {
+    const canvas = document.createElement('canvas');
+    canvas.width = LABEL_CANVAS.width;
+    canvas.height = LABEL_CANVAS.height;
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true }));
+    sprite.scale.set(LABEL_SCALE.x, LABEL_SCALE.y, 1);
+    sprite.renderOrder = OVERLAY_RENDER_ORDER + 1;
+    return { sprite, canvas, texture, text: '' };
+}
+
+function drawLabel(label, lines) {
+    const text = lines.join('\n');
+    if (text === label.text) return;
+    label.text = text;
+
+    const context = label.canvas.getContext('2d');
+    context.clearRect(0, 0, label.canvas.width, label.canvas.height);
+    context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    context.fillRect(0, 0, label.canvas.width, label.canvas.height);
+    context.font = 'bold 22px monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+        context.fillStyle = i === 0 ? '#ffffff' : '#80deea';
+        context.fillText(line, label.canvas.width / 2, label.canvas.height * (i + 1) / (lines.length + 1));
+    });
+    label.texture.needsUpdate = true;
+}
+
+function createDroidDebug(scene) {
+    const debug = {
+        label: createLabel(),
+        los: createLine([new THREE.Vector3(), new THREE.Vector3()], COLORS.losClear),
+        reposition: createLine([new THREE.Vector3(), new THREE.Vector3()], COLORS.reposition)
+    };
+    scene.add(debug.label.sprite);
+    scene.add(debug.los);
+    scene.add(debug.reposition);
+    return debug;
+}
+
+function removeDroidDebug(debug) {
+    debugState.scene.remove(debug.label.sprite);
+    debugState.scene.remove(debug.los);
+    debugState.scene.remove(debug.reposition);
+    debug.label.texture.dispose();
+    debug.label.sprite.material.dispose();
+    debug.los.geometry.dispose();
+    debug.reposition.geometry.dispose();
+}
+
+function setLine(line, from, to) {
+    const positions = line.geometry.attributes.position;
+    positions.setXYZ(0, from.x, from.y, from.z);
+    positions.setXYZ(1, to.x, to.y, to.z);
+    positions.needsUpdate = true;
+}
+
+function updateDroidDebug(debug, droid, player) {
+    const ai = droid.userData.ai;
+    const eye = { x: droid.position.x, y: droid.position.y + EYE_HEIGHT, z: droid.position.z };
+
+    drawLabel(debug.label, [
+        `${droid.name} ${ai.state}${ai.coverPhase ? `/${ai.coverPhase}` : ''}`,
+        `${ai.role} ${ai.squadRole || '-'} ${droid.userData.archetype}`
+    ]);
+    debug.label.sprite.position.set(droid.position.x, droid.position.y + LABEL_HEIGHT, droid.position.z);
+
+    setLine(debug.los, eye, player.position);
+    debug.los.material = getLineMaterial(ai.hasLOS ? COLORS.losClear : COLORS.losBlocked);
+
+    const target = ai.repositionTarget;
+    debug.reposition.visible = Boolean(target);
+    if (target) {
+        setLine(debug.reposition, eye, { x: target.x, y: MARKER_HEIGHT, z: target.z });
+    }
+}
+
+function removeArenaLayer() {
+    if (!debugState.arenaLayer) return;
+    debugState.scene.remove(debugState.arenaLayer);
+    disposeGroup(debugState.arenaLayer);
+    debugState.arenaLayer = null;
+    debugState.mapMeta = null;
+}
+
+/**
+ * Removes every overlay object (overlay switched off, new game, arena swap)
+ */
+export function clearAIDebugOverlay() {
+    if (!debugState.scene) return;
+    removeArenaLayer();
+    debugState.droids.forEach(removeDroidDebug);
+    debugState.droids.clear();
+    Object.values(debugState.materials).forEach(material => material.dispose());
+    debugState.materials = {};
+}
+
+export function setAIDebugOverlayEnabled(isEnabled) {
+    debugState.enabled = isEnabled;
+    if (!isEnabled) clearAIDebugOverlay();
+    log(CATEGORIES.SYSTEM, LEVELS.INFO, 'AI debug overlay', { enabled: isEnabled });
+}
+
+export function isAIDebugOverlayEnabled() {
+    return debugState.enabled;
+}
+
+/**
+ * Syncs the overlay with the arena and the live droids; does nothing while off
+ * @param {THREE.Scene} scene - Scene to draw into
+ * @param {Array<THREE.Object3D>} enemies - Live enemies (the boss is skipped)
+ * @param {THREE.Object3D} player - Player, target of the LOS rays
+ * @param {Object} mapMeta - Current arena metadata
+ */
+export function updateAIDebugOverlay(scene, enemies, player, mapMeta) {
+    if (!debugState.enabled) return;
+    debugState.scene = scene;
+
+    if (debugState.mapMeta !== mapMeta) {
+        removeArenaLayer();
+        debugState.arenaLayer = createArenaLayer(mapMeta);
+        debugState.mapMeta = mapMeta;
+        scene.add(debugState.arenaLayer);
+    }
+
+    const droids = enemies.filter(enemy => enemy.userData.ai);
+    const live = new Set(droids);
+    debugState.droids.forEach((debug, droid) => {
+        if (!live.has(droid)) {
+            removeDroidDebug(debug);
+            debugState.droids.delete(droid);
+        }
+    });
+
+    droids.forEach(droid => {
+        let debug = debugState.droids.get(droid);
+        if (!debug) {
+            debug = createDroidDebug(scene);
+            debugState.droids.set(droid, debug);
+        }
+        updateDroidDebug(debug, droid, player);
+    });
+}
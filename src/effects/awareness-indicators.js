@@ -0,0 +1,118 @@
+/**
+ * Awareness indicators
+ * A small meter floating above each droid showing its ai.awareness, tinted
+ * by alert state: yellow while SUSPICIOUS, orange while SEARCHing and red
+ * once the droid is fighting.
+ *
+ * INVARIANT: Indicators are scene-level sprites that follow their droid, not
+ *            droid children, so droid hit raycasts never touch them
+ * INVARIANT: Indicators for droids that are no longer in the list are removed
+ *            and their materials disposed on the next update
+ * INVARIANT: A patrolling droid with no awareness shows nothing
+ */
+
+const INDICATOR_HEIGHT = 2.55;
+const INDICATOR_WIDTH = 0.8;
+const INDICATOR_THICKNESS = 0.09;
+const STATE_COLORS = {
+    SUSPICIOUS: 0xffe066,
+    SEARCH: 0xff9f1c,
+    COMBAT: 0xff2a2a
+};
+const COMBAT_STATES = new Set(['CHASE', 'ENGAGE', 'FLANK', 'REPOSITION', 'TAKE_COVER']);
+
+const indicatorState = {
+    scene: null,
+    indicators: new Map(),
+    backMaterial: null,
+    cameraRight: new THREE.Vector3()
+};
+
+function getBackMaterial() {
+    if (!indicatorState.backMaterial) {
+        indicatorState.backMaterial = new THREE.SpriteMaterial({
+            color: 0x111111,
+            transparent: true,
+            opacity: 0.55,
+            depthWrite: false
+        });
+    }
+    return indicatorState.backMaterial;
+}
+
+function createIndicator(scene) {
+    const back = new THREE.Sprite(getBackMaterial());
+    back.scale.set(INDICATOR_WIDTH, INDICATOR_THICKNESS, 1);
+
+    const fill = new THREE.Sprite(new THREE.SpriteMaterial({
+        color: STATE_COLORS.SUSPICIOUS,
+        transparent: true,
+        opacity: 0.95,
+        depthWrite: false
+    }));
+    // Anchored on its left end so the bar fills left to right
+    fill.center.set(0, 0.5);
+    fill.renderOrder = 1;
+
+    scene.add(back);
+    scene.add(fill);
+    return { back, fill };
+}
+
+function removeIndicator(indicator) {
+    indicatorState.scene.remove(indicator.back);
+    indicatorState.scene.remove(indicator.fill);
+    indicator.fill.material.dispose();
+}
+
+/**
+ * Syncs indicators with the live droids
+ * @param {THREE.Scene} scene - Scene to place indicators in
+ * @param {Array<THREE.Object3D>} droids - Live droids
+ * @param {THREE.Camera} camera - Camera the sprites face; fills start at the bar's left end on screen
+ */
+export function updateAwarenessIndicators(scene, droids, camera) {
+    indicatorState.scene = scene;
+    const live = new Set(droids);
+    const cameraRight = indicatorState.cameraRight.setFromMatrixColumn(camera.matrixWorld, 0).normalize();
+
+    indicatorState.indicators.forEach((indicator, droid) => {
+        if (!live.has(droid)) {
+            removeIndicator(indicator);
+            indicatorState.indicators.delete(droid);
+        }
+    });
+
+    droids.forEach(droid => {
+        const ai = droid.userData.ai;
+        if (!ai) return;
+
+        let indicator = indicatorState.indicators.get(droid);
+        if (!indicator) {
+            indicator = createIndicator(scene);
+            indicatorState.indicators.set(droid, indicator);
+        }
+
+        const awareness = Math.max(0, Math.min(1, ai.awareness || 0));
+        const visible = awareness > 0.01;
+        indicator.back.visible = visible;
+        indicator.fill.visible = visible;
+        if (!visible) return;
+
+        const colorKey = COMBAT_STATES.has(ai.state) ? 'COMBAT' : ai.state === 'SEARCH' ? 'SEARCH' : 'SUSPICIOUS';
+        indicator.fill.material.color.setHex(STATE_COLORS[colorKey]);
+        indicator.fill.scale.set(INDICATOR_WIDTH * awareness, INDICATOR_THICKNESS, 1);
+
+        indicator.back.position.set(droid.position.x, droid.position.y + INDICATOR_HEIGHT, droid.position.z);
+        indicator.fill.position.copy(indicator.back.position).addScaledVector(cameraRight, -INDICATOR_WIDTH / 2);
+    });
+}
+
+/**
+ * Removes every indicator (new game, arena swap)
+ */
+export function clearAwarenessIndicators() {
+    if (!indicatorState.scene) return;
+    indicatorState.indicators.forEach(removeIndicator);
+    indicatorState.indicators.clear();
+}
@@ -0,0 +1,156 @@
+/**
+ * Death sequences
+ * A destroyed droid breaks apart: its mesh parts are lifted out of the droid
+ * into the scene, tumble and bounce on the floor, their glow flickers out,
+ * and after a delay the whole wreck fades away.
+ *
+ * INVARIANT: Wreck parts live in the scene only, never in the enemies list or
+ *            the obstacles, so they cannot be shot, block sight or hold a
+ *            round open
+ * INVARIANT: A wreck owns its droid's geometries and materials (built per
+ *            droid by createDroidMesh / createBossMesh) and disposes them once
+ *            it has faded or is cleared
+ * INVARIANT: At most MAX_WRECKS at once; a new one removes the oldest
+ * INVARIANT: Everything is cleared on arena swaps and new games
+ */
+
+const PART_GRAVITY = 18;
+const PART_BOUNCE = 0.3;              // Vertical speed kept when a part hits the floor
+const PART_FLOOR_FRICTION = 0.55;     // Horizontal speed and spin kept per floor bounce
+const PART_REST_SPEED = 0.4;          // Below this bounce speed a part settles
+const PART_BURST_SPEED = 2.5;
+const PART_SPIN = 9;                  // Radians per second, at most, per axis
+const GLOW_FLICKER_SECONDS = 1.2;
+const WRECK_FADE_DELAY = 4;           // Seconds a wreck lies before fading
+const WRECK_FADE_SECONDS = 1.5;
+const MAX_WRECKS = 12;
+
+const deathState = {
+    scene: null,
+    wrecks: []
+};
+
+function createWreckPart(mesh, center) {
+    const velocity = mesh.position.clone().sub(center).setY(0);
+    if (velocity.lengthSq() < 0.0001) {
+        velocity.set(Math.random() - 0.5, 0, Math.random() - 0.5);
+    }
+    velocity.normalize().multiplyScalar(PART_BURST_SPEED * (0.4 + Math.random() * 0.8));
+    velocity.y = 1 + Math.random() * 3;
+
+    const { width = 0.2, height = 0.2, depth = 0.2 } = mesh.geometry.parameters || {};
+    return {
+        mesh,
+        velocity,
+        spin: new THREE.Vector3(
+            (Math.random() - 0.5) * 2 * PART_SPIN,
+            (Math.random() - 0.5) * 2 * PART_SPIN,
+            (Math.random() - 0.5) * 2 * PART_SPIN
+        ),
+        // Rests on its thinnest side
+        floor: Math.min(width, height, depth) / 2,
+        resting: false
+    };
+}
+
+function removeWreck(wreck) {
+    wreck.parts.forEach(part => deathState.scene.remove(part.mesh));
+    wreck.geometries.forEach(geometry => geometry.dispose());
+    wreck.materials.forEach((opacity, material) => material.dispose());
+}
+
+/**
+ * Breaks a destroyed droid (or the boss) into tumbling parts
+ * @param {THREE.Scene} scene - Scene to drop the parts into
+ * @param {THREE.Object3D} droid - Destroyed droid, already removed from the scene
+ */
+export function spawnDroidWreck(scene, droid) {
+    deathState.scene = scene;
+    if (deathState.wrecks.length >= MAX_WRECKS) {
+        removeWreck(deathState.wrecks.shift());
+    }
+
+    droid.updateMatrixWorld(true);
+    const center = droid.position.clone();
+    const wreck = { parts: [], geometries: new Set(), materials: new Map(), age: 0 };
+
+    [...droid.children].filter(child => child.isMesh).forEach(mesh => {
+        mesh.matrixWorld.decompose(mesh.position, mesh.quaternion, mesh.scale);
+        droid.remove(mesh);
+        wreck.geometries.add(mesh.geometry);
+        wreck.materials.set(mesh.material, mesh.material.opacity);
+
+        // Hidden parts (sniper laser, blown-off plates, slam ring) are only disposed
+        if (!mesh.visible) return;
+        scene.add(mesh);
+        wreck.parts.push(createWreckPart(mesh, center));
+    });
+
+    deathState.wrecks.push(wreck);
+}
+
+function updatePart(part, delta) {
+    if (part.resting) return;
+
+    const { mesh, velocity, spin } = part;
+    velocity.y -= PART_GRAVITY * delta;
+    mesh.position.addScaledVector(velocity, delta);
+    mesh.rotation.x += spin.x * delta;
+    mesh.rotation.y += spin.y * delta;
+    mesh.rotation.z += spin.z * delta;
+
+    if (mesh.position.y < part.floor) {
+        mesh.position.y = part.floor;
+        velocity.y = Math.abs(velocity.y) * PART_BOUNCE;
+        velocity.x *= PART_FLOOR_FRICTION;
+        velocity.z *= PART_FLOOR_FRICTION;
+        spin.multiplyScalar(PART_FLOOR_FRICTION);
+        part.resting = velocity.y < PART_REST_SPEED;
+    }
+}
+
+// Glow (unlit) materials stutter and dim out; everything else fades with the wreck
+function updateWreckMaterials(wreck) {
+    const flicker = Math.max(0, 1 - wreck.age / GLOW_FLICKER_SECONDS);
+    const fade = Math.max(0, 1 - (wreck.age - WRECK_FADE_DELAY) / WRECK_FADE_SECONDS);
+
+    wreck.materials.forEach((opacity, material) => {
+        if (material.isMeshBasicMaterial) {
+            material.opacity = Math.random() < 0.3 ? opacity * 0.1 * flicker : opacity * flicker;
+        } else if (fade < 1) {
+            if (!material.transparent) {
+                material.transparent = true;
+                material.needsUpdate = true;
+            }
+            material.opacity = opacity * fade;
+        }
+    });
+}
+
+/**
+ * Advances every wreck and removes the ones that have faded out
+ * @param {number} delta - Seconds since the last frame
+ */
+export function updateDroidWrecks(delta) {
+    for (let i = deathState.wrecks.length - 1; i >= 0; i--) {
+        const wreck = deathState.wrecks[i];
+        wreck.age += delta;
+        if (wreck.age >= WRECK_FADE_DELAY + WRECK_FADE_SECONDS) {
+            removeWreck(wreck);
+            deathState.wrecks.splice(i, 1);
+            continue;
+        }
+
+        wreck.parts.forEach(part => updatePart(part, delta));
+        updateWreckMaterials(wreck);
+    }
+}
+
+/**
+ * Removes every wreck (new game, arena swap)
+ */
+export function clearDroidWrecks() {
+    if (!deathState.scene) return;
+    deathState.wrecks.forEach(removeWreck);
+    deathState.wrecks.length = 0;
+}
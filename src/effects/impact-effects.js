@@ -0,0 +1,330 @@
+/**
+ * Impact effects
+ * Sparks and scorch decals where rounds meet obstacles, and debris in the
+ * droid's color on hits. Kills are handled by death-effects.js.
+ *
+ * INVARIANT: Each effect kind is one fixed-size InstancedMesh sized by the
+ *            quality preset; nothing is allocated per impact
+ * INVARIANT: Pools are ring buffers, so a full pool recycles its oldest entry
+ * INVARIANT: Everything is cleared on arena swaps and new games (decals are
+ *            stuck to walls that no longer exist)
+ */
+
+import { EFFECT_QUALITY_PRESETS, DEFAULT_EFFECT_QUALITY } from '../config/effects.js';
+import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+
+const SPARK_GRAVITY = 14;
+const DEBRIS_GRAVITY = 18;
+const DEBRIS_BOUNCE = 0.35;           // Vertical speed kept when debris hits the floor
+const DEBRIS_FLOOR_FRICTION = 0.6;    // Horizontal speed kept per floor bounce
+const DECAL_FADE_SECONDS = 1.0;
+const DECAL_SURFACE_OFFSET = 0.01;    // Lifts decals off the wall to avoid z-fighting
+const DROID_CENTER_HEIGHT = 1.1;
+const SPARK_COLORS = [0xffe08a, 0xffb347, 0xfff4d6];
+const SCORCH_COLOR = 0x0b0b0b;
+
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+const PLANE_NORMAL = new THREE.Vector3(0, 0, 1);
+
+const effectState = {
+    scene: null,
+    quality: null,
+    sparks: null,
+    debris: null,
+    decals: null
+};
+
+const scratch = {
+    matrix: new THREE.Matrix4(),
+    quaternion: new THREE.Quaternion(),
+    twist: new THREE.Quaternion(),
+    euler: new THREE.Euler(),
+    scale: new THREE.Vector3(),
+    color: new THREE.Color(),
+    vector: new THREE.Vector3()
+};
+
+function createEntry() {
+    return {
+        active: false,
+        position: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        rotation: new THREE.Vector3(),
+        spin: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        size: new THREE.Vector3(1, 1, 1),
+        life: 0,
+        maxLife: 1
+    };
+}
+
+function createPool(scene, geometry, material, capacity) {
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.frustumCulled = false;
+    for (let i = 0; i < capacity; i++) {
+        mesh.setMatrixAt(i, HIDDEN_MATRIX);
+        mesh.setColorAt(i, scratch.color.set(0xffffff));
+    }
+    scene.add(mesh);
+
+    return {
+        mesh,
+        entries: Array.from({ length: capacity }, createEntry),
+        cursor: 0,
+        active: 0
+    };
+}
+
+function disposePool(pool) {
+    if (!pool) return;
+    effectState.scene.remove(pool.mesh);
+    pool.mesh.geometry.dispose();
+    pool.mesh.material.dispose();
+    pool.mesh.dispose();
+}
+
+function claimEntry(pool) {
+    const index = pool.cursor;
+    const entry = pool.entries[index];
+    pool.cursor = (index + 1) % pool.entries.length;
+    if (!entry.active) pool.active++;
+    entry.active = true;
+    return { entry, index };
+}
+
+function releaseEntry(pool, entry, index) {
+    entry.active = false;
+    pool.active--;
+    pool.mesh.setMatrixAt(index, HIDDEN_MATRIX);
+}
+
+// Busy pools get fewer new entries so a firefight cannot churn the whole buffer
+function getEmitCount(pool, count) {
+    return pool.active > pool.entries.length / 2 ? Math.ceil(count / 2) : count;
+}
+
+function setEntryColor(pool, index, color) {
+    pool.mesh.setColorAt(index, scratch.color.set(color));
+    pool.mesh.instanceColor.needsUpdate = true;
+}
+
+function randomSpread(vector, amount) {
+    vector.x += (Math.random() - 0.5) * amount;
+    vector.y += (Math.random() - 0.5) * amount;
+    vector.z += (Math.random() - 0.5) * amount;
+    return vector;
+}
+
+function emitSparks(point, normal, count) {
+    const pool = effectState.sparks;
+
+    for (let i = 0; i < getEmitCount(pool, count); i++) {
+        const { entry, index } = claimEntry(pool);
+        entry.position.copy(point);
+        entry.velocity.copy(normal).multiplyScalar(2.5 + Math.random() * 3);
+        randomSpread(entry.velocity, 4);
+        entry.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+        entry.spin.set(0, 0, 0);
+        entry.size.setScalar(0.03 + Math.random() * 0.03);
+        entry.maxLife = entry.life = 0.2 + Math.random() * 0.25;
+        setEntryColor(pool, index, SPARK_COLORS[i % SPARK_COLORS.length]);
+    }
+}
+
+function emitDebrisChunk(position, velocity, size, color, life) {
+    const { entry, index } = claimEntry(effectState.debris);
+    entry.position.copy(position);
+    entry.velocity.copy(velocity);
+    entry.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+    entry.spin.set((Math.random() - 0.5) * 14, (Math.random() - 0.5) * 14, (Math.random() - 0.5) * 14);
+    entry.size.copy(size);
+    entry.maxLife = entry.life = life;
+    setEntryColor(effectState.debris, index, color);
+}
+
+function placeDecal(point, normal) {
+    const pool = effectState.decals;
+    const { entry, index } = claimEntry(pool);
+
+    entry.position.copy(point).addScaledVector(normal, DECAL_SURFACE_OFFSET);
+    entry.quaternion.setFromUnitVectors(PLANE_NORMAL, normal);
+    scratch.twist.setFromAxisAngle(PLANE_NORMAL, Math.random() * Math.PI * 2);
+    entry.quaternion.multiply(scratch.twist);
+    entry.size.setScalar(0.12 + Math.random() * 0.1);
+    entry.maxLife = entry.life = effectState.quality.decalLifetime;
+    pool.mesh.setMatrixAt(index, scratch.matrix.compose(entry.position, entry.quaternion, entry.size));
+    pool.mesh.instanceMatrix.needsUpdate = true;
+}
+
+/**
+ * Builds the effect pools for a quality preset
+ * @param {THREE.Scene} scene - Scene to add the pooled meshes to
+ * @param {string} [quality] - Key of EFFECT_QUALITY_PRESETS
+ */
+export function initImpactEffects(scene, quality = DEFAULT_EFFECT_QUALITY) {
+    if (effectState.scene) {
+        disposePool(effectState.sparks);
+        disposePool(effectState.debris);
+        disposePool(effectState.decals);
+    }
+
+    const preset = EFFECT_QUALITY_PRESETS[quality] || EFFECT_QUALITY_PRESETS[DEFAULT_EFFECT_QUALITY];
+    effectState.scene = scene;
+    effectState.quality = preset;
+
+    const particleBudget = Math.floor(preset.maxParticles / 2);
+    effectState.sparks = createPool(
+        scene,
+        new THREE.BoxGeometry(1, 1, 1),
+        new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }),
+        particleBudget
+    );
+    effectState.debris = createPool(
+        scene,
+        new THREE.BoxGeometry(1, 1, 1),
+        new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.4, metalness: 0.6 }),
+        preset.maxParticles - particleBudget
+    );
+    effectState.decals = createPool(
+        scene,
+        new THREE.CircleGeometry(1, 10),
+        new THREE.MeshBasicMaterial({
+            color: SCORCH_COLOR,
+            transparent: true,
+            opacity: 0.75,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -4
+        }),
+        preset.maxDecals
+    );
+
+    log(CATEGORIES.SYSTEM, LEVELS.INFO, 'Impact effects ready', { quality, ...preset });
+}
+
+/**
+ * Sparks plus a scorch decal where a round meets (or leaves) an obstacle
+ * @param {Object} impact - { point, normal, direction, exit } from updateBullets
+ */
+export function emitWallImpact(impact) {
+    if (!effectState.scene) return;
+
+    emitSparks(impact.point, impact.normal, effectState.quality.sparksPerImpact);
+    placeDecal(impact.point, impact.normal);
+}
+
+/**
+ * Debris in the droid's color, thrown back along the shot (or out of an exit wound)
+ * @param {THREE.Object3D} droid - Droid that was hit
+ * @param {THREE.Vector3} [point] - Where the round struck; defaults to the droid's center
+ * @param {THREE.Vector3} [direction] - Travel direction of the round
+ */
+export function emitDroidHit(droid, point, direction) {
+    if (!effectState.scene) return;
+
+    const origin = point || scratch.vector.copy(droid.position).setY(droid.position.y + DROID_CENTER_HEIGHT);
+    const pool = effectState.debris;
+    const count = getEmitCount(pool, effectState.quality.debrisPerHit);
+    const velocity = new THREE.Vector3();
+    const size = new THREE.Vector3();
+
+    for (let i = 0; i < count; i++) {
+        if (direction) {
+            velocity.copy(direction).multiplyScalar(-(1.5 + Math.random() * 2));
+        } else {
+            velocity.set(0, 0, 0);
+        }
+        velocity.y += 1.5 + Math.random() * 2;
+        randomSpread(velocity, 3);
+        size.setScalar(0.04 + Math.random() * 0.05);
+        emitDebrisChunk(origin, velocity, size, droid.userData.color ?? 0x888888, 0.6 + Math.random() * 0.5);
+    }
+}
+
+/**
+ * Advances sparks and debris, and fades out expiring decals
+ * @param {number} delta - Seconds since the last frame
+ */
+export function updateImpactEffects(delta) {
+    if (!effectState.scene) return;
+
+    updateParticles(effectState.sparks, delta, SPARK_GRAVITY, false);
+    updateParticles(effectState.debris, delta, DEBRIS_GRAVITY, true);
+    updateDecals(effectState.decals, delta);
+}
+
+function updateParticles(pool, delta, gravity, bounces) {
+    if (pool.active === 0) return;
+
+    pool.entries.forEach((entry, index) => {
+        if (!entry.active) return;
+
+        entry.life -= delta;
+        if (entry.life <= 0) {
+            releaseEntry(pool, entry, index);
+            return;
+        }
+
+        entry.velocity.y -= gravity * delta;
+        entry.position.addScaledVector(entry.velocity, delta);
+        entry.rotation.addScaledVector(entry.spin, delta);
+
+        const floor = entry.size.y / 2;
+        if (bounces && entry.position.y < floor) {
+            entry.position.y = floor;
+            entry.velocity.y = Math.abs(entry.velocity.y) * DEBRIS_BOUNCE;
+            entry.velocity.x *= DEBRIS_FLOOR_FRICTION;
+            entry.velocity.z *= DEBRIS_FLOOR_FRICTION;
+            entry.spin.multiplyScalar(DEBRIS_FLOOR_FRICTION);
+        }
+
+        // Sparks shrink over their whole life, debris only in its last third
+        const t = entry.life / entry.maxLife;
+        const shrink = bounces ? Math.min(1, t * 3) : t;
+        scratch.quaternion.setFromEuler(scratch.euler.set(entry.rotation.x, entry.rotation.y, entry.rotation.z));
+        scratch.scale.copy(entry.size).multiplyScalar(shrink);
+        pool.mesh.setMatrixAt(index, scratch.matrix.compose(entry.position, scratch.quaternion, scratch.scale));
+    });
+
+    pool.mesh.instanceMatrix.needsUpdate = true;
+}
+
+function updateDecals(pool, delta) {
+    if (pool.active === 0) return;
+
+    pool.entries.forEach((entry, index) => {
+        if (!entry.active) return;
+
+        entry.life -= delta;
+        if (entry.life <= 0) {
+            releaseEntry(pool, entry, index);
+            pool.mesh.instanceMatrix.needsUpdate = true;
+            return;
+        }
+        if (entry.life < DECAL_FADE_SECONDS) {
+            scratch.scale.copy(entry.size).multiplyScalar(entry.life / DECAL_FADE_SECONDS);
+            pool.mesh.setMatrixAt(index, scratch.matrix.compose(entry.position, entry.quaternion, scratch.scale));
+            pool.mesh.instanceMatrix.needsUpdate = true;
+        }
+    });
+}
+
+/**
+ * Hides every spark, debris chunk and decal
+ */
+export function clearImpactEffects() {
+    [effectState.sparks, effectState.debris, effectState.decals].forEach(pool => {
+        if (!pool) return;
+        pool.entries.forEach((entry, index) => {
+            if (entry.active) releaseEntry(pool, entry, index);
+        });
+        pool.cursor = 0;
+        pool.mesh.instanceMatrix.needsUpdate = true;
+    });
+}
@@ -0,0 +1,144 @@
+/**
+ * Tracer pool
+ * Bullet tracers are instances in one InstancedMesh per style (a weapon, or
+ * droid fire), so a shot costs a matrix write instead of a new geometry and
+ * material that were never disposed.
+ *
+ * INVARIANT: Geometry and material are created once per style key and shared
+ *            by every tracer of that key
+ * INVARIANT: Free instances are parked with a zero-scale matrix; a batch only
+ *            grows (doubling) when every instance is in use
+ * INVARIANT: Handles stay valid across growth and must be released exactly
+ *            once (releaseTracer ignores a second release)
+ */
+
+import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+
+const INITIAL_CAPACITY = 32;
+const UP = new THREE.Vector3(0, 1, 0);
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0);
+
+const poolState = {
+    batches: new Map()
+};
+
+const scratch = {
+    matrix: new THREE.Matrix4(),
+    quaternion: new THREE.Quaternion(),
+    scale: new THREE.Vector3()
+};
+
+function createInstancedMesh(batch, capacity) {
+    const mesh = new THREE.InstancedMesh(batch.geometry, batch.material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // Instances spread across the arena, so the geometry's bounds are meaningless
+    mesh.frustumCulled = false;
+    for (let i = 0; i < capacity; i++) {
+        mesh.setMatrixAt(i, HIDDEN_MATRIX);
+    }
+    return mesh;
+}
+
+function createBatch(scene, key, style) {
+    const batch = {
+        key,
+        scene,
+        length: style.length,
+        geometry: new THREE.CylinderGeometry(style.width, style.width, style.length, 8),
+        material: new THREE.MeshBasicMaterial({
+            color: style.color,
+            transparent: true,
+            opacity: style.opacity ?? 0.8
+        }),
+        mesh: null,
+        free: [],
+        capacity: 0
+    };
+
+    growBatch(batch, INITIAL_CAPACITY);
+    poolState.batches.set(key, batch);
+    return batch;
+}
+
+function growBatch(batch, capacity) {
+    const mesh = createInstancedMesh(batch, capacity);
+
+    if (batch.mesh) {
+        mesh.instanceMatrix.array.set(batch.mesh.instanceMatrix.array);
+        batch.scene.remove(batch.mesh);
+        batch.mesh.dispose();
+        log(CATEGORIES.SYSTEM, LEVELS.DEBUG, 'Tracer pool grown', { key: batch.key, capacity });
+    }
+
+    // Hand out low indices first
+    for (let i = capacity - 1; i >= batch.capacity; i--) {
+        batch.free.push(i);
+    }
+
+    batch.mesh = mesh;
+    batch.capacity = capacity;
+    batch.scene.add(mesh);
+}
+
+/**
+ * Takes a hidden tracer from the pool for the given style
+ * @param {THREE.Scene} scene - Scene the style's batch lives in (used on first acquire)
+ * @param {string} key - Style key, e.g. the weapon id or 'droid'
+ * @param {Object} style - { width, length, color, opacity } used to build the shared mesh
+ * @returns {Object} Tracer handle for placeTracer/releaseTracer
+ */
+export function acquireTracer(scene, key, style) {
+    const batch = poolState.batches.get(key) || createBatch(scene, key, style);
+    if (batch.free.length === 0) {
+        growBatch(batch, batch.capacity * 2);
+    }
+
+    return { batch, index: batch.free.pop(), active: true };
+}
+
+/**
+ * Positions a tracer along a direction
+ * @param {Object} tracer - Handle from acquireTracer
+ * @param {THREE.Vector3} center - Midpoint of the tracer
+ * @param {THREE.Vector3} direction - Normalized travel direction
+ * @param {number} [length] - World length; defaults to the style's length
+ * @param {number} [widthScale=1] - Thickness multiplier (used to fade beams)
+ */
+export function placeTracer(tracer, center, direction, length, widthScale = 1) {
+    if (!tracer.active) return;
+
+    const { batch } = tracer;
+    const lengthScale = length === undefined ? 1 : Math.max(0.01, length / batch.length);
+    scratch.quaternion.setFromUnitVectors(UP, direction);
+    scratch.scale.set(widthScale, lengthScale, widthScale);
+    scratch.matrix.compose(center, scratch.quaternion, scratch.scale);
+
+    batch.mesh.setMatrixAt(tracer.index, scratch.matrix);
+    batch.mesh.instanceMatrix.needsUpdate = true;
+}
+
+/**
+ * Hides a tracer and returns it to its pool
+ * @param {Object} tracer - Handle from acquireTracer
+ */
+export function releaseTracer(tracer) {
+    if (!tracer || !tracer.active) return;
+
+    const { batch } = tracer;
+    batch.mesh.setMatrixAt(tracer.index, HIDDEN_MATRIX);
+    batch.mesh.instanceMatrix.needsUpdate = true;
+    batch.free.push(tracer.index);
+    tracer.active = false;
+}
+
+/**
+ * Instances currently handed out, per style key (for logging)
+ * @returns {Object} key -> { inUse, capacity }
+ */
+export function getTracerPoolStats() {
+    const stats = {};
+    poolState.batches.forEach((batch, key) => {
+        stats[key] = { inUse: batch.capacity - batch.free.length, capacity: batch.capacity };
+    });
+    return stats;
+}
@@ -4,14 +4,34 @@ const state = {
     weaponType: 'rifle',
     bobTime: 0,
     recoil: 0,
-    sway: 0
+    recoilSide: 0,
+    sway: 0,
+    swingTime: 0,
+    swingDuration: 0,
+    reloadProgress: null,
+    aim: 0,
+    scoped: false,
+    centerShift: null     // Cached; measuring the sprite forces a layout
 };
 
+// Layout changes (resize, weapon swap, show/hide) drop the cached center shift
+function invalidateLayout() {
+    state.centerShift = null;
+}
+
+function getCenterShift() {
+    if (state.centerShift === null) {
+        state.centerShift = window.innerWidth / 2 - (state.root.offsetLeft + state.root.offsetWidth / 2);
+    }
+    return state.centerShift;
+}
+
 export function initViewmodelSprite() {
     state.root = document.getElementById('viewmodelSprite');
     state.initialized = Boolean(state.root);
     if (!state.initialized) return;
 
+    window.addEventListener('resize', invalidateLayout, false);
     setViewmodelWeapon('rifle');
     setViewmodelVisible(false);
 }
@@ -19,21 +39,64 @@ export function initViewmodelSprite() {
 export function setViewmodelVisible(isVisible) {
     if (!state.initialized) return;
     state.root.style.display = isVisible ? 'block' : 'none';
+    invalidateLayout();
 }
 
 export function setViewmodelWeapon(weaponType) {
     if (!state.initialized) return;
 
     state.weaponType = weaponType;
-    state.root.classList.remove('weapon-rifle', 'weapon-shotgun', 'weapon-sniper');
+    state.swingTime = 0;
+    state.swingDuration = 0;
+    [...state.root.classList]
+        .filter(cls => cls.startsWith('weapon-'))
+        .forEach(cls => state.root.classList.remove(cls));
     state.root.classList.add(`weapon-${weaponType}`);
+    invalidateLayout();
 }
 
-export function applyViewmodelRecoil(power = 1) {
+export function applyViewmodelRecoil(power = 1, side = 0) {
     state.recoil = Math.min(1.4, state.recoil + 0.45 * power);
+    state.recoilSide = side;
+}
+
+export function setViewmodelReload(progress) {
+    state.reloadProgress = progress;
+}
+
+// amount is the eased ADS blend (0-1); scoped weapons hide the sprite entirely
+export function setViewmodelAim(amount, scoped = false) {
+    state.aim = amount;
+    state.scoped = scoped;
 }
 
-export function updateViewmodelSprite({ delta, movementIntensity = 0, isCrouching = false }) {
+export function triggerViewmodelSwing(duration = 0.35) {
+    state.swingTime = 0;
+    state.swingDuration = Math.max(0.05, duration);
+}
+
+function getSwingPose() {
+    if (state.swingDuration <= 0) {
+        return { x: 0, y: 0, rot: 0 };
+    }
+
+    // Quick wind back over the first 25%, then a long slash across the screen
+    const t = Math.min(1, state.swingTime / state.swingDuration);
+    if (t < 0.25) {
+        const k = t / 0.25;
+        return { x: 18 * k, y: -10 * k, rot: -22 * k };
+    }
+
+    const k = (t - 0.25) / 0.75;
+    const slash = Math.sin(k * Math.PI);
+    return {
+        x: 18 - 190 * Math.sin(k * Math.PI * 0.5) * (1 - k * 0.6),
+        y: -10 + 34 * slash,
+        rot: -22 + 96 * slash
+    };
+}
+
+export function updateViewmodelSprite({ delta, movementIntensity = 0, isCrouching = false, spin = 0 }) {
     if (!state.initialized) return;
 
     const dt = Math.max(0.0001, delta);
@@ -43,11 +106,35 @@ export function updateViewmodelSprite({ delta, movementIntensity = 0, isCrouchin
     state.recoil = Math.max(0, state.recoil - dt * 4.9);
     state.sway = state.sway * 0.88 + move * 0.12;
 
-    const bobX = Math.sin(state.bobTime) * (2.5 + move * 7.2);
-    const bobY = Math.abs(Math.cos(state.bobTime * 1.2)) * (2 + move * 8.5);
+    if (state.swingDuration > 0) {
+        state.swingTime += dt;
+        if (state.swingTime >= state.swingDuration) {
+            state.swingTime = 0;
+            state.swingDuration = 0;
+        }
+    }
+
+    const swing = getSwingPose();
+    // Drop out of view early in the reload and come back up near the end
+    const reloadDrop = state.reloadProgress === null
+        ? 0
+        : Math.min(1, Math.sin(Math.PI * state.reloadProgress) * 2.2);
+    const bobScale = 1 - state.aim * 0.7;
+    const bobX = Math.sin(state.bobTime) * (2.5 + move * 7.2) * bobScale;
+    const bobY = Math.abs(Math.cos(state.bobTime * 1.2)) * (2 + move * 8.5) * bobScale;
+    // Bring the weapon in toward the screen center while aiming
+    const aimX = getCenterShift() * 0.85 * state.aim;
+    const aimY = -12 * state.aim;
     const recoilY = -state.recoil * 20;
     const recoilRot = -state.recoil * 5.2;
+    const recoilX = state.recoilSide * state.recoil * 12;
     const crouchOffset = isCrouching ? 14 : 0;
+    const spinShake = spin > 0 ? (Math.random() - 0.5) * spin * 3 : 0;
+
+    const x = bobX + swing.x + recoilX + spinShake + aimX;
+    const y = bobY + recoilY + crouchOffset + swing.y + spinShake + reloadDrop * 90 + aimY;
+    const rot = recoilRot + swing.rot + reloadDrop * 16;
 
-    state.root.style.transform = `translate3d(${bobX}px, ${bobY + recoilY + crouchOffset}px, 0) rotate(${recoilRot.toFixed(2)}deg)`;
+    state.root.style.visibility = state.scoped ? 'hidden' : 'visible';
+    state.root.style.transform = `translate3d(${x}px, ${y}px, 0) rotate(${rot.toFixed(2)}deg)`;
 }
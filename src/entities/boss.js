@@ -0,0 +1,115 @@
+import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+
+const BOSS_HITBOX = { halfWidth: 2.3, height: 4.9 };
+
+function addPart(boss, geometry, material, position, hitZone, castShadow = false) {
+    const part = new THREE.Mesh(geometry, material);
+    part.position.set(position[0], position[1], position[2]);
+    part.castShadow = castShadow;
+    if (hitZone) {
+        part.userData.hitZone = hitZone;
+    }
+    boss.add(part);
+    return part;
+}
+
+// Ground ring that grows under the boss while a slam winds up; hidden by default
+function addSlamRing(boss, glowColor) {
+    const geometry = new THREE.RingGeometry(0.92, 1, 48);
+    geometry.rotateX(-Math.PI / 2);
+    const ring = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        color: glowColor,
+        transparent: true,
+        opacity: 0,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    }));
+    ring.position.y = 0.05;
+    ring.visible = false;
+    boss.add(ring);
+    return ring;
+}
+
+/**
+ * Builds the boss walker. Parts are tagged 'torso', 'armor' or 'weakpoint';
+ * weak points carry userData.weakPoint ('core' or 'vents') and the armor
+ * plate over one carries userData.covers.
+ */
+function createBossMesh(definition) {
+    const boss = new THREE.Group();
+    const bodyMaterial = new THREE.MeshStandardMaterial({ color: definition.color, roughness: 0.35, metalness: 0.75 });
+    const armorMaterial = new THREE.MeshStandardMaterial({ color: 0x1b1f2a, roughness: 0.6, metalness: 0.6 });
+    const glowMaterial = new THREE.MeshBasicMaterial({ color: definition.glowColor, transparent: true, opacity: 0.95 });
+
+    const legGeometry = new THREE.BoxGeometry(0.8, 2.0, 0.9);
+    addPart(boss, legGeometry, bodyMaterial, [-0.8, 1.0, 0], 'torso', true);
+    addPart(boss, legGeometry, bodyMaterial, [0.8, 1.0, 0], 'torso', true);
+
+    addPart(boss, new THREE.BoxGeometry(2.8, 1.8, 2.0), bodyMaterial, [0, 2.9, 0], 'torso', true).receiveShadow = true;
+    addPart(boss, new THREE.BoxGeometry(0.9, 0.9, 0.2), glowMaterial, [0, 2.9, 1.0], 'weakpoint').userData.weakPoint = 'core';
+    addPart(boss, new THREE.BoxGeometry(1.6, 1.3, 0.25), armorMaterial, [0, 2.9, 1.15], 'armor', true).userData.covers = 'core';
+
+    addPart(boss, new THREE.BoxGeometry(1.2, 0.8, 1.1), bodyMaterial, [0, 4.2, 0.1], 'torso', true);
+    addPart(boss, new THREE.BoxGeometry(0.9, 0.15, 0.05), glowMaterial, [0, 4.25, 0.67], 'torso');
+
+    const armGeometry = new THREE.BoxGeometry(0.7, 1.8, 0.7);
+    const cannonGeometry = new THREE.BoxGeometry(0.6, 0.6, 1.6);
+    const muzzleGeometry = new THREE.BoxGeometry(0.36, 0.36, 0.1);
+    [-1.75, 1.75].forEach(x => {
+        addPart(boss, armGeometry, bodyMaterial, [x, 2.3, 0], 'torso', true);
+        addPart(boss, cannonGeometry, armorMaterial, [x, 3.5, 0.3], 'armor', true);
+        addPart(boss, muzzleGeometry, glowMaterial, [x, 3.5, 1.12], 'armor');
+    });
+
+    // Exposed from the start, but only from behind
+    const ventGeometry = new THREE.BoxGeometry(0.6, 0.9, 0.15);
+    addPart(boss, ventGeometry, glowMaterial, [-0.6, 3.0, -1.05], 'weakpoint').userData.weakPoint = 'vents';
+    addPart(boss, ventGeometry, glowMaterial, [0.6, 3.0, -1.05], 'weakpoint').userData.weakPoint = 'vents';
+
+    boss.userData.slamRing = addSlamRing(boss, definition.glowColor);
+    return boss;
+}
+
+/**
+ * Spawns the floor boss at the arena's boss spawn point, facing the player spawn
+ * @param {THREE.Scene} scene - Scene to add the boss to
+ * @param {Object} definition - Entry from config/bosses.js
+ * @param {Object} mapMeta - Arena metadata (bossSpawn, playerSpawn)
+ * @param {number} healthScale - Floor health multiplier
+ * @param {number} damageScale - Floor damage multiplier
+ * @returns {THREE.Object3D} Boss, tagged with userData.boss for updateBoss()
+ */
+export function createBoss(scene, definition, mapMeta, healthScale = 1, damageScale = 1) {
+    const boss = createBossMesh(definition);
+    const spawn = mapMeta.bossSpawn;
+    boss.position.set(spawn.x, 0, spawn.z);
+    // Yaw only: updateBoss() turns the boss through rotation.y
+    boss.rotation.y = Math.atan2(mapMeta.playerSpawn.x - spawn.x, mapMeta.playerSpawn.z - spawn.z);
+
+    boss.health = Math.round(definition.health * healthScale);
+    boss.lastShot = 0;
+    boss.name = definition.name;
+
+    boss.userData.color = definition.color;
+    boss.userData.hitbox = BOSS_HITBOX;
+    boss.userData.zoneDamage = definition.zoneDamage;
+    boss.userData.boss = {
+        definition,
+        healthMax: boss.health,
+        damageScale,
+        stageIndex: 0,
+        attackIndex: 0,
+        nextAttackAt: 0,
+        attack: null
+    };
+
+    scene.add(boss);
+
+    log(CATEGORIES.SPAWN, LEVELS.INFO, `${boss.name} spawned`, {
+        health: boss.health,
+        stages: definition.stages.length,
+        x: boss.position.x.toFixed(1),
+        z: boss.position.z.toFixed(1)
+    });
+    return boss;
+}
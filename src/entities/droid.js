@@ -1,4 +1,8 @@
 import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+import { droidArchetypes, pickArchetypes } from '../config/droid-archetypes.js';
+import { isNavWalkable } from '../core/navigation.js';
+
+const SUMMON_RADIUS = 4;      // Meters from the summoner
 
 function shuffle(array) {
     const copy = [...array];
@@ -9,145 +13,195 @@ function shuffle(array) {
     return copy;
 }
 
-function createDroidMesh(color) {
-    const droid = new THREE.Group();
+function addPart(droid, geometry, material, position, hitZone, castShadow = false) {
+    const part = new THREE.Mesh(geometry, material);
+    part.position.set(position[0], position[1], position[2]);
+    part.castShadow = castShadow;
+    if (hitZone) {
+        part.userData.hitZone = hitZone;
+    }
+    droid.add(part);
+    return part;
+}
 
-    const bodyMaterial = new THREE.MeshStandardMaterial({
-        color,
-        roughness: 0.3,
-        metalness: 0.7
-    });
-    const darkMaterial = new THREE.MeshStandardMaterial({
-        color: 0x222222,
-        roughness: 0.8,
-        metalness: 0.3
-    });
-    const glowMaterial = new THREE.MeshBasicMaterial({
-        color: 0x00ff00,
+// Red aiming beam shown while a sniper charges; not a hit zone, hidden by default
+function addChargeLaser(droid, origin) {
+    const geometry = new THREE.BoxGeometry(0.03, 0.03, 1);
+    geometry.translate(0, 0, 0.5);
+    const laser = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        color: 0xff1744,
         transparent: true,
-        opacity: 0.9
-    });
-
-    const torso = new THREE.Mesh(new THREE.BoxGeometry(0.8, 1.0, 0.6), bodyMaterial);
-    torso.position.y = 1.0;
-    torso.castShadow = true;
-    torso.receiveShadow = true;
-    droid.add(torso);
-
-    const chest = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.5, 0.1), darkMaterial);
-    chest.position.set(0, 1.1, 0.35);
-    chest.castShadow = true;
-    droid.add(chest);
-
-    const core = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.2, 0.05), glowMaterial);
-    core.position.set(0, 1.1, 0.41);
-    droid.add(core);
-
-    const head = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.4, 0.5), bodyMaterial);
-    head.position.y = 1.7;
-    head.castShadow = true;
-    droid.add(head);
-
-    const eyeBand = new THREE.Mesh(new THREE.BoxGeometry(0.52, 0.1, 0.4), darkMaterial);
-    eyeBand.position.set(0, 1.7, 0.08);
-    droid.add(eyeBand);
-
-    const eye = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.06, 0.05), glowMaterial);
-    eye.position.set(0, 1.7, 0.29);
-    droid.add(eye);
-
-    const antenna = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.3, 0.05), darkMaterial);
-    antenna.position.set(0.15, 1.95, 0);
-    droid.add(antenna);
+        opacity: 0.2,
+        depthWrite: false
+    }));
+    laser.position.set(origin[0], origin[1], origin[2]);
+    laser.visible = false;
+    droid.add(laser);
+    droid.userData.laser = laser;
+}
 
-    const antennaTip = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.08, 0.08), glowMaterial);
-    antennaTip.position.set(0.15, 2.1, 0);
-    droid.add(antennaTip);
+/**
+ * Builds the blocky two-legged droid and its TROOPER, SNIPER, RUSHER and
+ * SHIELDED variants.
+ */
+function addWalkerParts(droid, variant, { bodyMaterial, darkMaterial, glowMaterial }) {
+    addPart(droid, new THREE.BoxGeometry(0.8, 1.0, 0.6), bodyMaterial, [0, 1.0, 0], 'torso', true).receiveShadow = true;
+    addPart(droid, new THREE.BoxGeometry(0.6, 0.5, 0.1), darkMaterial, [0, 1.1, 0.35], 'torso', true);
+    addPart(droid, new THREE.BoxGeometry(0.2, 0.2, 0.05), glowMaterial, [0, 1.1, 0.41], 'core');
+
+    addPart(droid, new THREE.BoxGeometry(0.5, 0.4, 0.5), bodyMaterial, [0, 1.7, 0], 'head', true);
+    addPart(droid, new THREE.BoxGeometry(0.52, 0.1, 0.4), darkMaterial, [0, 1.7, 0.08], 'head');
+    addPart(droid, new THREE.BoxGeometry(0.3, 0.06, 0.05), glowMaterial, [0, 1.7, 0.29], 'head');
+    addPart(droid, new THREE.BoxGeometry(0.05, 0.3, 0.05), darkMaterial, [0.15, 1.95, 0], 'head');
+    addPart(droid, new THREE.BoxGeometry(0.08, 0.08, 0.08), glowMaterial, [0.15, 2.1, 0], 'head');
 
     const armGeometry = new THREE.BoxGeometry(0.25, 0.8, 0.25);
-    const leftArm = new THREE.Mesh(armGeometry, bodyMaterial);
-    leftArm.position.set(-0.6, 1.0, 0);
-    leftArm.castShadow = true;
-    droid.add(leftArm);
-
-    const rightArm = new THREE.Mesh(armGeometry, bodyMaterial);
-    rightArm.position.set(0.6, 1.0, 0);
-    rightArm.castShadow = true;
-    droid.add(rightArm);
+    addPart(droid, armGeometry, bodyMaterial, [-0.6, 1.0, 0], 'arm', true);
+    addPart(droid, armGeometry, bodyMaterial, [0.6, 1.0, 0], 'arm', true);
 
     const shoulderGeometry = new THREE.BoxGeometry(0.35, 0.2, 0.35);
-    const leftShoulder = new THREE.Mesh(shoulderGeometry, darkMaterial);
-    leftShoulder.position.set(-0.6, 1.4, 0);
-    droid.add(leftShoulder);
-
-    const rightShoulder = new THREE.Mesh(shoulderGeometry, darkMaterial);
-    rightShoulder.position.set(0.6, 1.4, 0);
-    droid.add(rightShoulder);
-
-    const barrel = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.3, 0.08), darkMaterial);
-    barrel.position.set(0.6, 0.6, 0.2);
-    droid.add(barrel);
+    addPart(droid, shoulderGeometry, darkMaterial, [-0.6, 1.4, 0], 'arm');
+    addPart(droid, shoulderGeometry, darkMaterial, [0.6, 1.4, 0], 'arm');
+
+    if (variant === 'RUSHER') {
+        // Forward blades instead of a blaster
+        const bladeGeometry = new THREE.BoxGeometry(0.06, 0.14, 0.9);
+        addPart(droid, bladeGeometry, glowMaterial, [-0.6, 0.6, 0.4], 'arm');
+        addPart(droid, bladeGeometry, glowMaterial, [0.6, 0.6, 0.4], 'arm');
+    } else if (variant === 'SNIPER') {
+        addPart(droid, new THREE.BoxGeometry(0.08, 0.08, 1.2), darkMaterial, [0.6, 0.65, 0.5], 'arm');
+        addPart(droid, new THREE.BoxGeometry(0.1, 0.1, 0.3), glowMaterial, [0.6, 0.78, 0.3], 'arm');
+        addChargeLaser(droid, [0.6, 0.65, 1.1]);
+    } else {
+        addPart(droid, new THREE.BoxGeometry(0.08, 0.3, 0.08), darkMaterial, [0.6, 0.6, 0.2], 'arm');
+        addPart(droid, new THREE.BoxGeometry(0.1, 0.1, 0.1), glowMaterial, [0.6, 0.45, 0.2], 'arm');
+    }
 
-    const barrelTip = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.1, 0.1), glowMaterial);
-    barrelTip.position.set(0.6, 0.45, 0.2);
-    droid.add(barrelTip);
+    if (variant === 'SHIELDED') {
+        addPart(droid, new THREE.BoxGeometry(1.3, 1.5, 0.12), new THREE.MeshStandardMaterial({
+            color: 0x00e5ff,
+            emissive: 0x004d57,
+            transparent: true,
+            opacity: 0.6,
+            roughness: 0.2,
+            metalness: 0.5
+        }), [0, 1.05, 0.75], 'shield');
+    }
 
     const legGeometry = new THREE.BoxGeometry(0.3, 0.8, 0.4);
-    const leftLeg = new THREE.Mesh(legGeometry, bodyMaterial);
-    leftLeg.position.set(-0.25, 0.4, 0);
-    leftLeg.castShadow = true;
-    droid.add(leftLeg);
-
-    const rightLeg = new THREE.Mesh(legGeometry, bodyMaterial);
-    rightLeg.position.set(0.25, 0.4, 0);
-    rightLeg.castShadow = true;
-    droid.add(rightLeg);
+    addPart(droid, legGeometry, bodyMaterial, [-0.25, 0.4, 0], 'leg', true);
+    addPart(droid, legGeometry, bodyMaterial, [0.25, 0.4, 0], 'leg', true);
 
     const footGeometry = new THREE.BoxGeometry(0.35, 0.15, 0.5);
-    const leftFoot = new THREE.Mesh(footGeometry, darkMaterial);
-    leftFoot.position.set(-0.25, 0.075, 0.05);
-    droid.add(leftFoot);
-
-    const rightFoot = new THREE.Mesh(footGeometry, darkMaterial);
-    rightFoot.position.set(0.25, 0.075, 0.05);
-    droid.add(rightFoot);
+    addPart(droid, footGeometry, darkMaterial, [-0.25, 0.075, 0.05], 'leg');
+    addPart(droid, footGeometry, darkMaterial, [0.25, 0.075, 0.05], 'leg');
 
     const ventGeometry = new THREE.BoxGeometry(0.15, 0.3, 0.05);
-    const leftVent = new THREE.Mesh(ventGeometry, darkMaterial);
-    leftVent.position.set(-0.2, 1.0, -0.32);
-    droid.add(leftVent);
+    addPart(droid, ventGeometry, darkMaterial, [-0.2, 1.0, -0.32], 'torso');
+    addPart(droid, ventGeometry, darkMaterial, [0.2, 1.0, -0.32], 'torso');
+}
 
-    const rightVent = new THREE.Mesh(ventGeometry, darkMaterial);
-    rightVent.position.set(0.2, 1.0, -0.32);
-    droid.add(rightVent);
+// Flat body on four rotors; every part stays a box so kill bursts can copy it
+function addDroneParts(droid, { bodyMaterial, darkMaterial, glowMaterial }) {
+    addPart(droid, new THREE.BoxGeometry(1.0, 0.35, 1.0), bodyMaterial, [0, 0.4, 0], 'torso', true);
+    addPart(droid, new THREE.BoxGeometry(0.3, 0.2, 0.05), glowMaterial, [0, 0.4, 0.52], 'core');
+    addPart(droid, new THREE.BoxGeometry(0.45, 0.2, 0.35), darkMaterial, [0, 0.67, 0.15], 'head');
+    addPart(droid, new THREE.BoxGeometry(0.3, 0.06, 0.05), glowMaterial, [0, 0.68, 0.34], 'head');
+    addPart(droid, new THREE.BoxGeometry(0.1, 0.1, 0.45), darkMaterial, [0, 0.15, 0.3], 'arm');
+
+    const armGeometry = new THREE.BoxGeometry(0.5, 0.08, 0.12);
+    const rotorGeometry = new THREE.BoxGeometry(0.45, 0.03, 0.45);
+    [[-0.7, -0.7], [0.7, -0.7], [-0.7, 0.7], [0.7, 0.7]].forEach(([x, z]) => {
+        addPart(droid, armGeometry, darkMaterial, [x * 0.6, 0.45, z * 0.6], 'arm');
+        addPart(droid, rotorGeometry, glowMaterial, [x, 0.55, z], 'arm');
+    });
+}
+
+/**
+ * Builds a droid mesh for an archetype. Every part is tagged with
+ * userData.hitZone ('head', 'core', 'torso', 'arm', 'leg' or 'shield') for
+ * per-part damage.
+ */
+function createDroidMesh(color, archetype) {
+    const droid = new THREE.Group();
+    const materials = {
+        bodyMaterial: new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.3,
+            metalness: 0.7
+        }),
+        darkMaterial: new THREE.MeshStandardMaterial({
+            color: 0x222222,
+            roughness: 0.8,
+            metalness: 0.3
+        }),
+        glowMaterial: new THREE.MeshBasicMaterial({
+            color: archetype.glowColor,
+            transparent: true,
+            opacity: 0.9
+        })
+    };
+
+    if (archetype.mesh === 'DRONE') {
+        addDroneParts(droid, materials);
+    } else {
+        addWalkerParts(droid, archetype.mesh, materials);
+    }
 
     return droid;
 }
 
-function createDroid(scene, color, spawnNode, aiConfig, id) {
-    const droid = createDroidMesh(color);
-    droid.position.set(spawnNode.x, 0, spawnNode.z);
-    droid.health = 100;
+function createDroid(scene, color, spawnNode, aiConfig, id, archetypeKey) {
+    const archetype = droidArchetypes[archetypeKey];
+    const droid = createDroidMesh(color, archetype);
+    droid.position.set(spawnNode.x, archetype.hoverHeight || 0, spawnNode.z);
+    droid.health = archetype.health;
+    droid.healthMax = droid.health;
     droid.lastShot = 0;
     droid.name = `Droid-${id}`;
 
     droid.userData.id = id;
+    droid.userData.color = color;
+    droid.userData.archetype = archetypeKey;
+    if (archetype.hitbox) {
+        droid.userData.hitbox = archetype.hitbox;
+    }
     droid.userData.ai = {
         role: aiConfig.role,
         state: aiConfig.initialState,
         patrolRouteIndex: aiConfig.patrolRouteIndex,
         patrolNodeIndex: 0,
         lastSeenPlayerAt: 0,
-        repositionTarget: null
+        hasLOS: false,
+        awareness: 0,
+        stimulus: null,
+        repositionTarget: null,
+        searchPoint: null,
+        searchStartedAt: 0,
+        searchArrivedAt: 0,
+        searchSweeping: false,
+        searchTravelling: false,
+        lastHeardNoiseId: 0,
+        chargeStartedAt: 0,
+        suppression: 0,
+        coverPoint: null,
+        coverPhase: null,
+        coverPhaseAt: 0,
+        coverPeeks: 0,
+        peekPoint: null,
+        flying: Boolean(archetype.hoverHeight),
+        squadRoles: archetype.squadRoles,
+        stunnedUntil: 0
     };
 
     scene.add(droid);
     return droid;
 }
 
-export function createDroids(scene, count, colors, mapMeta, round = 1) {
+export function createDroids(scene, count, colors, mapMeta, round = 1, floor = 1) {
     const droids = [];
     const spawnNodes = shuffle(mapMeta.enemySpawnNodes);
+    const archetypes = pickArchetypes(count, floor, round);
     const pursuerCount = Math.max(1, Math.min(2, Math.floor(count / 4)));
 
     for (let i = 0; i < count; i++) {
@@ -170,11 +224,13 @@ export function createDroids(scene, count, colors, mapMeta, round = 1) {
             colors[i % colors.length],
             { x: spawnNode.x + jitter.x, z: spawnNode.z + jitter.z },
             aiConfig,
-            i
+            i,
+            archetypes[i]
         );
         droids.push(droid);
 
         log(CATEGORIES.SPAWN, LEVELS.INFO, `${droid.name} spawned`, {
+            archetype: archetypes[i],
             role,
             state: aiConfig.initialState,
             route: patrolRouteIndex,
@@ -187,6 +243,51 @@ export function createDroids(scene, count, colors, mapMeta, round = 1) {
     return droids;
 }
 
+/**
+ * Spawns reinforcements in a ring around a point (boss summons). They arrive
+ * as alerted pursuers.
+ * @param {THREE.Scene} scene - Scene to add droids to
+ * @param {Array<string>} archetypeKeys - Archetype of each droid
+ * @param {Array<number>} colors - Body color palette
+ * @param {{x: number, z: number}} around - Center of the ring
+ * @param {Object} mapMeta - Arena metadata (navGrid, worldBounds)
+ * @param {number} firstId - Id of the first droid; the rest count up
+ * @returns {Array<THREE.Object3D>} New droids
+ */
+export function summonDroids(scene, archetypeKeys, colors, around, mapMeta, firstId) {
+    const bounds = mapMeta.worldBounds;
+    const offset = Math.random() * Math.PI * 2;
+
+    return archetypeKeys.map((archetypeKey, i) => {
+        const angle = offset + (i / archetypeKeys.length) * Math.PI * 2;
+        let spawnNode = {
+            x: Math.max(bounds.minX, Math.min(bounds.maxX, around.x + Math.cos(angle) * SUMMON_RADIUS)),
+            z: Math.max(bounds.minZ, Math.min(bounds.maxZ, around.z + Math.sin(angle) * SUMMON_RADIUS))
+        };
+        if (mapMeta.navGrid && !isNavWalkable(mapMeta.navGrid, spawnNode.x, spawnNode.z)) {
+            spawnNode = { x: around.x, z: around.z };
+        }
+
+        const id = firstId + i;
+        const droid = createDroid(
+            scene,
+            colors[id % colors.length],
+            spawnNode,
+            { role: 'PURSUER', initialState: 'CHASE', patrolRouteIndex: id % mapMeta.patrolRoutes.length },
+            id,
+            archetypeKey
+        );
+        droid.userData.ai.awareness = 1;
+
+        log(CATEGORIES.SPAWN, LEVELS.INFO, `${droid.name} summoned`, {
+            archetype: archetypeKey,
+            x: droid.position.x.toFixed(1),
+            z: droid.position.z.toFixed(1)
+        });
+        return droid;
+    });
+}
+
 export function clearDroids(scene, droids) {
     droids.forEach(droid => scene.remove(droid));
 }
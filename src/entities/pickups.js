@@ -1,4 +1,6 @@
 import { log, CATEGORIES, LEVELS } from '../utils/logger.js';
+import { grenades } from '../config/grenades.js';
+import { weapons } from '../config/weapons.js';
 
 function createHealthPickup(node) {
     const group = new THREE.Group();
@@ -35,9 +37,34 @@ function createHealthPickup(node) {
     return group;
 }
 
+function createAmmoPickup(node) {
+    const group = new THREE.Group();
+
+    const crate = new THREE.Mesh(
+        new THREE.BoxGeometry(0.8, 0.45, 0.5),
+        new THREE.MeshStandardMaterial({
+            color: 0x3a3f2a,
+            roughness: 0.6,
+            metalness: 0.5
+        })
+    );
+    crate.position.y = 0.3;
+    group.add(crate);
+
+    const stripe = new THREE.Mesh(
+        new THREE.BoxGeometry(0.82, 0.08, 0.52),
+        new THREE.MeshBasicMaterial({ color: 0xf2df53 })
+    );
+    stripe.position.y = 0.38;
+    group.add(stripe);
+
+    group.position.set(node.x, 0, node.z);
+    group.userData.pickupType = 'ammo';
+    return group;
+}
+
 function createUnlockPickup(node, type) {
-    const isShotgun = type === 'unlock_shotgun';
-    const color = isShotgun ? 0xffa23a : 0x70a8ff;
+    const color = weapons[type.replace('unlock_', '')]?.unlockColor ?? 0x70a8ff;
 
     const group = new THREE.Group();
 
@@ -74,6 +101,50 @@ function createUnlockPickup(node, type) {
     return group;
 }
 
+function createGrenadePickup(node, type) {
+    const color = grenades[type.replace('grenade_', '')]?.color ?? 0x55ff55;
+
+    const group = new THREE.Group();
+
+    const pouch = new THREE.Mesh(
+        new THREE.BoxGeometry(0.6, 0.3, 0.4),
+        new THREE.MeshStandardMaterial({
+            color: 0x2b2f36,
+            roughness: 0.7,
+            metalness: 0.3
+        })
+    );
+    pouch.position.y = 0.2;
+    group.add(pouch);
+
+    [-0.15, 0.15].forEach(offset => {
+        const shell = new THREE.Mesh(
+            new THREE.SphereGeometry(0.13, 12, 10),
+            new THREE.MeshStandardMaterial({
+                color,
+                emissive: color,
+                emissiveIntensity: 0.4,
+                roughness: 0.35,
+                metalness: 0.6
+            })
+        );
+        shell.position.set(offset, 0.48, 0);
+        group.add(shell);
+    });
+
+    group.position.set(node.x, 0, node.z);
+    group.userData.pickupType = type;
+    return group;
+}
+
+// One grenade resupply per intermission; smoke joins the pool at round 2, EMP at 3
+function pickGrenadeType(round) {
+    const pool = ['frag'];
+    if (round >= 2) pool.push('smoke');
+    if (round >= 3) pool.push('emp');
+    return pool[Math.floor(Math.random() * pool.length)];
+}
+
 function pickNodes(nodePool, count) {
     const pool = [...nodePool];
     const picked = [];
@@ -87,7 +158,7 @@ function pickNodes(nodePool, count) {
     return picked;
 }
 
-export function spawnRoundPickups({ scene, pickups, round, unlockedWeapons, pickupNodes }) {
+export function spawnRoundPickups({ scene, pickups, round, unlockedWeapons, floorUnlocks = [], pickupNodes }) {
     clearPickups(scene, pickups);
 
     if (!pickupNodes || pickupNodes.length === 0) {
@@ -97,6 +168,8 @@ export function spawnRoundPickups({ scene, pickups, round, unlockedWeapons, pick
     const types = [];
     if (round >= 1) {
         types.push('health');
+        types.push('ammo');
+        types.push(`grenade_${pickGrenadeType(round)}`);
     }
     if (round >= 2 && !unlockedWeapons.has('shotgun')) {
         types.push('unlock_shotgun');
@@ -104,15 +177,27 @@ export function spawnRoundPickups({ scene, pickups, round, unlockedWeapons, pick
     if (round >= 4 && !unlockedWeapons.has('sniper')) {
         types.push('unlock_sniper');
     }
+    floorUnlocks.forEach(weapon => {
+        if (!unlockedWeapons.has(weapon)) {
+            types.push(`unlock_${weapon}`);
+        }
+    });
 
     const nodes = pickNodes(pickupNodes, types.length);
     types.forEach((type, i) => {
         const node = nodes[i % nodes.length];
         if (!node) return;
 
-        const mesh = type === 'health'
-            ? createHealthPickup(node)
-            : createUnlockPickup(node, type);
+        let mesh;
+        if (type === 'health') {
+            mesh = createHealthPickup(node);
+        } else if (type === 'ammo') {
+            mesh = createAmmoPickup(node);
+        } else if (type.startsWith('grenade_')) {
+            mesh = createGrenadePickup(node, type);
+        } else {
+            mesh = createUnlockPickup(node, type);
+        }
 
         scene.add(mesh);
         pickups.push({
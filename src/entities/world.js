@@ -3,6 +3,9 @@
  * Creates handcrafted tactical arenas with safe-room start and telemetry zones.
  */
 
+import { createNavGrid } from '../core/navigation.js';
+import { createCoverPoints } from '../core/cover.js';
+
 function createWall(scene, obstacles, environmentObjects, { x, y, z, w, h, d, color = 0x444455 }) {
     const wall = new THREE.Mesh(
         new THREE.BoxGeometry(w, h, d),
@@ -14,6 +17,8 @@ function createWall(scene, obstacles, environmentObjects, { x, y, z, w, h, d, co
     );
 
     wall.position.set(x, y, z);
+    // Thinnest horizontal side; bullet penetration compares against this
+    wall.userData.thickness = Math.min(w, d);
     wall.castShadow = true;
     wall.receiveShadow = true;
     scene.add(wall);
@@ -139,7 +144,7 @@ export function createEnvironment(scene, worldWidth, worldDepth, arenaId = 'aren
     gate.userData.isSafeGate = true;
     gate.userData.solid = true;
 
-    [
+    const coverBlocks = [
         { x: -10, z: -10, w: 3.6, h: 2.4, d: 2.8 },
         { x: -10, z: 10, w: 3.6, h: 2.4, d: 2.8 },
         { x: -2, z: -4, w: 5.4, h: 2.1, d: 2.4 },
@@ -149,16 +154,14 @@ export function createEnvironment(scene, worldWidth, worldDepth, arenaId = 'aren
         { x: 16, z: -4, w: 4.8, h: 2.2, d: 2.2 },
         { x: 16, z: 4, w: 4.8, h: 2.2, d: 2.2 },
         { x: 21, z: 0, w: 2.2, h: 2.6, d: 6.4 }
-    ].forEach(block => {
-        createWall(scene, obstacles, environmentObjects, {
-            x: block.x,
-            y: block.h / 2,
-            z: block.z,
-            w: block.w,
-            h: block.h,
-            d: block.d
-        });
-    });
+    ].map(block => createWall(scene, obstacles, environmentObjects, {
+        x: block.x,
+        y: block.h / 2,
+        z: block.z,
+        w: block.w,
+        h: block.h,
+        d: block.d
+    }));
 
     const ambientLight = new THREE.AmbientLight(0x404040);
     scene.add(ambientLight);
@@ -245,6 +248,7 @@ export function createEnvironment(scene, worldWidth, worldDepth, arenaId = 'aren
         { x: 20, y: 2.8, z: 0, intensity: 0.7 }
     ];
 
+    const navGrid = createNavGrid(obstacles, worldBounds);
     const mapMeta = {
         arenaId,
         playerSpawn: { x: safeRoomCenter.x - 1.4, y: 1.6, z: 0 },
@@ -257,6 +261,7 @@ export function createEnvironment(scene, worldWidth, worldDepth, arenaId = 'aren
                 isOpen: false
             }
         },
+        bossSpawn: { x: 7, z: 0 },
         enemySpawnNodes: [
             { x: 18, z: -16 },
             { x: 18, z: 16 },
@@ -303,8 +308,10 @@ export function createEnvironment(scene, worldWidth, worldDepth, arenaId = 'aren
         ],
         worldBounds,
         lightZones,
-        telemetryProbes
+        telemetryProbes,
+        navGrid
     };
+    mapMeta.coverPoints = createCoverPoints(coverBlocks, navGrid);
 
     return { obstacles, mapMeta, environmentObjects };
 }
@@ -2,21 +2,34 @@
  * Neon Arena FPS - Tactical HUD + Telemetry Foundation
  */
 
-import { weapons } from './config/weapons.js';
+import {
+    weapons,
+    isMeleeWeapon,
+    getWeaponForSlot,
+    getFireModes,
+    parseFireMode,
+    loadWeaponRegistry,
+    getStartUnlockedWeapons
+} from './config/weapons.js';
+import { grenades, GRENADE_TYPES, createGrenadeCounts } from './config/grenades.js';
 import {
     ENEMY_COLORS, ENEMY_SPEED, ENEMY_DAMAGE, ENEMY_FIRE_RATE, ENEMY_RANGE,
-    PLAYER_HEIGHT, PLAYER_SPEED, WORLD_WIDTH, WORLD_DEPTH
+    PLAYER_HEIGHT, PLAYER_SPEED, WORLD_WIDTH, WORLD_DEPTH,
+    SPREAD_MOVE_BONUS, SPREAD_SPRINT_MULTIPLIER, SPREAD_AIRBORNE_MULTIPLIER, SPREAD_CROUCH_MULTIPLIER
 } from './config/constants.js';
 import {
     initHUD,
     updateHUDCore,
     updateStealthHUD,
-    setHUDObjective
+    setHUDObjective,
+    updateBossHUD
 } from './utils/hud.js';
 import { updateMinimap, initMinimap } from './utils/minimap.js';
+import { renderWeaponCards, renderWeaponLoadError } from './utils/weapon-cards.js';
 import { createPlayer } from './entities/player.js';
 import { createEnvironment, clearEnvironment } from './entities/world.js';
-import { createDroids, clearDroids } from './entities/droid.js';
+import { createDroids, summonDroids, clearDroids } from './entities/droid.js';
+import { createBoss } from './entities/boss.js';
 import {
     spawnRoundPickups,
     updatePickups,
@@ -29,19 +42,75 @@ import {
     setViewmodelVisible,
     setViewmodelWeapon,
     updateViewmodelSprite,
-    applyViewmodelRecoil
+    applyViewmodelRecoil,
+    triggerViewmodelSwing,
+    setViewmodelReload,
+    setViewmodelAim
 } from './effects/viewmodel-sprite.js';
-import { setupScene, createAnimationLoop, handleResize } from './core/engine.js';
-import { fireWeapon as fireWeaponLogic, reloadWeapon } from './core/game.js';
-import { updatePlayer, updateEnemies, updateBullets } from './core/update.js';
+import { releaseTracer, getTracerPoolStats } from './effects/tracer-pool.js';
+import {
+    initImpactEffects,
+    emitWallImpact,
+    emitDroidHit,
+    updateImpactEffects,
+    clearImpactEffects
+} from './effects/impact-effects.js';
+import { updateAwarenessIndicators, clearAwarenessIndicators } from './effects/awareness-indicators.js';
+import { spawnDroidWreck, updateDroidWrecks, clearDroidWrecks } from './effects/death-effects.js';
+import {
+    updateAIDebugOverlay,
+    clearAIDebugOverlay,
+    setAIDebugOverlayEnabled,
+    isAIDebugOverlayEnabled
+} from './effects/ai-debug-overlay.js';
+import {
+    setupScene,
+    createAnimationLoop,
+    handleResize,
+    BASE_FOV,
+    setCameraFov,
+    setLookSensitivity,
+    rotateCamera
+} from './core/engine.js';
+import {
+    fireWeapon as fireWeaponLogic,
+    startReload,
+    updateReload,
+    cancelReload,
+    createWeaponRuntime,
+    updateWeaponRuntime,
+    getWeaponSpread,
+    throwGrenade
+} from './core/game.js';
+import {
+    updatePlayer,
+    updateEnemies,
+    updateBoss,
+    updateBullets,
+    updateMeleeSwings,
+    updateGrenades
+} from './core/update.js';
 import { computeLightTelemetry, computeSoundTelemetry } from './core/telemetry.js';
+import { rebuildNavGrid } from './core/navigation.js';
+import { createSquad, assignSquadRoles } from './core/squad.js';
+import { emitNoise, updateNoiseEvents } from './core/noise.js';
 import { getLevelConfig } from './config/levels.js';
+import { getBossForArena } from './config/bosses.js';
 import {
     showCountdown,
     showRoundBanner,
     showIntermissionTimer,
     setCrosshairVisible,
-    showPickupNotice
+    showPickupNotice,
+    showHitMarker,
+    showDamageNumber,
+    updateDamageNumbers,
+    clearDamageNumbers,
+    setDamageNumbersEnabled,
+    areDamageNumbersEnabled,
+    setCrosshairAiming,
+    setCrosshairSpread,
+    setScopeOverlay
 } from './utils/phase-ui.js';
 import { log, CATEGORIES, LEVELS } from './utils/logger.js';
 
@@ -50,6 +119,7 @@ const PHASES = {
     PREP_COUNTDOWN: 'PREP_COUNTDOWN',
     COMBAT: 'COMBAT',
     INTERMISSION: 'INTERMISSION',
+    BOSS: 'BOSS',
     ROUND_END: 'ROUND_END',
     ARENA_GATE_OPEN: 'ARENA_GATE_OPEN',
     ARENA_SWAP: 'ARENA_SWAP'
@@ -58,11 +128,39 @@ const PHASES = {
 const ROUND_COUNTDOWN_SECONDS = 3;
 const INTERMISSION_SECONDS = 8;
 const COMBAT_ACTIVATION_DELAY = 1;
+const BOSS_INTRO_SECONDS = 2.5;
+const BOSS_ADD_FIRST_ID = 100;      // Keeps summoned droid names apart from the round's
 const ROUND_END_SECONDS = 1.2;
 const ARENA_GATE_OPEN_SECONDS = 1.4;
 const ARENA_SWAP_SECONDS = 1.0;
 const HEAL_AMOUNT = 35;
-const START_UNLOCKED_WEAPONS = new Set(['rifle']);
+const AMMO_PICKUP_FRACTION = 0.5;
+const SPRINT_MULTIPLIER = 1.45;
+const SPRINT_NOISE_INTERVAL = 0.35; // Seconds between sprint footstep noise events
+const SCOPE_CROUCH_SWAY = 0.35; // Fraction of scope sway left while crouched
+const RECOIL_KICK_RATE = 28;       // Share of pending kick applied per second
+const RECOIL_RECOVERY_SPEED = 0.5; // Radians per second pulled back after a spray
+const CROSSHAIR_SMOOTHING = 12;
+const GRENADE_THROW_COOLDOWN = 700; // Milliseconds between throws
+const DAMAGE_NUMBER_HEIGHT = 2.2;   // Above a droid's head when a hit has no impact point
+
+// First start-unlocked weapon in manifest order
+function getDefaultWeapon() {
+    return getStartUnlockedWeapons().values().next().value;
+}
+
+function createWeaponAmmo() {
+    const ammo = {};
+    Object.keys(weapons).forEach(key => {
+        if (!isMeleeWeapon(key)) {
+            ammo[key] = {
+                magazine: weapons[key].maxAmmo,
+                reserve: weapons[key].reserveAmmo
+            };
+        }
+    });
+    return ammo;
+}
 
 const gameState = {
     scene: null,
@@ -75,8 +173,16 @@ const gameState = {
 
     player: null,
     enemies: [],
+    boss: null,
+    bossAddsSummoned: 0,
+    squad: createSquad(),
     bullets: [],
     enemyBullets: [],
+    meleeSwings: [],
+    thrownGrenades: [],
+    smokeClouds: [],
+    grenadeBlasts: [],
+    noiseEvents: [],
     obstacles: [],
     activePickups: [],
     mapMeta: null,
@@ -85,12 +191,13 @@ const gameState = {
     weaponType: 'rifle',
     ammo: 0,
     maxAmmo: 0,
-    weaponAmmo: {
-        rifle: weapons.rifle.maxAmmo,
-        shotgun: weapons.shotgun.maxAmmo,
-        sniper: weapons.sniper.maxAmmo
-    },
-    unlockedWeapons: new Set(['rifle']),
+    // Filled from the weapon registry once it has loaded (see init)
+    weaponAmmo: {},
+    weaponRuntime: {},
+    unlockedWeapons: new Set(),
+    grenadeCounts: createGrenadeCounts(),
+    grenadeType: 'frag',
+    lastGrenadeTime: 0,
 
     health: 100,
     round: 1,
@@ -100,6 +207,32 @@ const gameState = {
     enemiesInRound: 5,
     gameStarted: false,
     lastFireTime: 0,
+    trigger: {
+        held: false,
+        pullPending: false,
+        burstRemaining: 0
+    },
+    reload: {
+        active: false,
+        weaponType: null,
+        tactical: false,
+        elapsed: 0,
+        duration: 0
+    },
+    ads: {
+        held: false,
+        amount: 0,
+        swayTime: 0,
+        swayAmplitude: 0,
+        swayYaw: 0,
+        swayPitch: 0
+    },
+    recoil: {
+        pitch: 0,
+        yaw: 0,
+        recoverable: 0
+    },
+    crosshairSpread: 0,
 
     phase: PHASES.IDLE,
     phaseTimer: 0,
@@ -111,6 +244,7 @@ const gameState = {
     moveLeft: false,
     moveRight: false,
     isCrouching: false,
+    sprintHeld: false,
     movementMagnitude: 0,
     playerMotion: {
         velocityY: 0,
@@ -123,7 +257,8 @@ const gameState = {
         sound: 0,
         firedTimer: 0,
         jumpTimer: 0,
-        landTimer: 0
+        landTimer: 0,
+        sprintNoiseTimer: 0
     }
 };
 
@@ -131,17 +266,34 @@ function getEnemiesForRound(globalRound, floor) {
     return 5 + Math.floor(globalRound * 1.5) + Math.floor((floor - 1) * 0.8);
 }
 
+// Tracers go back to the pool rather than being dropped from the scene
 function clearBulletArray(bullets) {
-    bullets.forEach(bullet => gameState.scene.remove(bullet.mesh));
+    bullets.forEach(bullet => releaseTracer(bullet.tracer));
     bullets.length = 0;
 }
 
+// Grenade, blast and smoke meshes share geometry; only their materials are theirs to free
+function clearMeshArray(items) {
+    items.forEach(item => {
+        gameState.scene.remove(item.mesh);
+        item.mesh.material.dispose();
+    });
+    items.length = 0;
+}
+
+function clearGrenades() {
+    clearMeshArray(gameState.thrownGrenades);
+    clearMeshArray(gameState.smokeClouds);
+    clearMeshArray(gameState.grenadeBlasts);
+}
+
 function closeSafeGate() {
     const gate = gameState.mapMeta?.safeRoom?.gate;
     if (!gate) return;
     gate.mesh.position.y = gate.closedY;
     gate.mesh.userData.solid = true;
     gate.isOpen = false;
+    rebuildNavGrid(gameState.mapMeta.navGrid);
 }
 
 function openSafeGate() {
@@ -150,6 +302,7 @@ function openSafeGate() {
     gate.mesh.position.y = gate.openY;
     gate.mesh.userData.solid = false;
     gate.isOpen = true;
+    rebuildNavGrid(gameState.mapMeta.navGrid);
 }
 
 function resetPlayerToSpawn() {
@@ -185,7 +338,43 @@ function loadArenaForFloor(floor) {
     resetPlayerToSpawn();
 }
 
+function isAiming() {
+    return gameState.ads.held && !gameState.reload.active && !isSprinting();
+}
+
+// Smoothstep of the raw ADS blend so zoom eases in and out
+function getAimBlend() {
+    const amount = gameState.ads.amount;
+    return amount * amount * (3 - 2 * amount);
+}
+
+function getAimSpreadMultiplier() {
+    const config = weapons[gameState.weaponType].ads;
+    return 1 + (config.spreadMultiplier - 1) * getAimBlend();
+}
+
+function isSprinting() {
+    return gameState.sprintHeld && gameState.moveForward && !gameState.isCrouching;
+}
+
+function getStanceSpreadMultiplier() {
+    let multiplier = 1 + gameState.movementMagnitude * SPREAD_MOVE_BONUS;
+    if (isSprinting()) multiplier *= SPREAD_SPRINT_MULTIPLIER;
+    if (!gameState.playerMotion.canJump) multiplier *= SPREAD_AIRBORNE_MULTIPLIER;
+    if (gameState.isCrouching) multiplier *= SPREAD_CROUCH_MULTIPLIER;
+    return multiplier;
+}
+
+function getSpreadMultiplier() {
+    return getAimSpreadMultiplier() * getStanceSpreadMultiplier();
+}
+
 function updateHudCoreState() {
+    const weapon = weapons[gameState.weaponType];
+    const runtime = gameState.weaponRuntime[gameState.weaponType];
+    const ammoState = gameState.weaponAmmo[gameState.weaponType];
+    const reload = gameState.reload;
+
     updateHUDCore({
         health: gameState.health,
         healthMax: 100,
@@ -194,12 +383,20 @@ function updateHudCoreState() {
         round: gameState.roundInFloor,
         floor: gameState.floor,
         weaponType: gameState.weaponType,
-        isMelee: false
+        isMelee: isMeleeWeapon(gameState.weaponType),
+        fireMode: runtime.fireMode,
+        reserve: ammoState ? ammoState.reserve : null,
+        reloadProgress: reload.active ? Math.min(1, reload.elapsed / reload.duration) : null,
+        heat: weapon.heatPerShot ? runtime.heat : null,
+        overheated: runtime.overheated,
+        spin: runtime.spin,
+        grenadeLabel: grenades[gameState.grenadeType].label,
+        grenadeCount: gameState.grenadeCounts[gameState.grenadeType]
     });
 }
 
 function syncWeaponCardLocks() {
-    const allowed = START_UNLOCKED_WEAPONS;
+    const allowed = getStartUnlockedWeapons();
     document.querySelectorAll('.weapon-card').forEach(card => {
         const weapon = card.dataset.weapon;
         const locked = !allowed.has(weapon);
@@ -230,6 +427,14 @@ function highlightSelectedWeaponCard(weaponType) {
     });
 }
 
+function applyFloorHealthScaling(droids) {
+    const healthScale = gameState.levelConfig.enemyScaling.health;
+    droids.forEach(enemy => {
+        enemy.health = Math.max(25, Math.round(enemy.health * healthScale));
+        enemy.healthMax = enemy.health;
+    });
+}
+
 function spawnEnemies(count) {
     clearDroids(gameState.scene, gameState.enemies);
     gameState.enemies = createDroids(
@@ -237,13 +442,19 @@ function spawnEnemies(count) {
         count,
         ENEMY_COLORS,
         gameState.mapMeta,
-        gameState.round
+        gameState.round,
+        gameState.floor
     );
 
-    const healthScale = gameState.levelConfig.enemyScaling.health;
-    gameState.enemies.forEach(enemy => {
-        enemy.health = Math.max(25, Math.round(enemy.health * healthScale));
-    });
+    applyFloorHealthScaling(gameState.enemies);
+    assignSquadRoles(gameState.squad, gameState.enemies, gameState.round);
+}
+
+// Player weapons, grenades and droid AI only run while a round or the boss fight is live
+function isCombatLive() {
+    return gameState.gameStarted &&
+        (gameState.phase === PHASES.COMBAT || gameState.phase === PHASES.BOSS) &&
+        gameState.combatLive;
 }
 
 function setPhase(phase, timer = 0) {
@@ -310,12 +521,13 @@ function enterIntermission() {
         pickups: gameState.activePickups,
         round: gameState.round,
         unlockedWeapons: gameState.unlockedWeapons,
+        floorUnlocks: gameState.levelConfig.unlocks,
         pickupNodes: gameState.mapMeta.pickupNodes
     });
 
     if (gameState.activePickups.length > 0) {
         const pickupNames = gameState.activePickups
-            .map(p => p.type.replace('unlock_', '').toUpperCase())
+            .map(p => p.type.replace('unlock_', '').replace(/_/g, ' ').toUpperCase())
             .join(' + ');
         showPickupNotice(`Intermission: collect ${pickupNames}`, 2400);
     }
@@ -325,6 +537,116 @@ function enterIntermission() {
     setHUDObjective('Recover, collect unlocks, then re-enter arena');
 }
 
+// The arena's last round hands over to the boss fight instead of an intermission
+function finishCombatRound() {
+    if (gameState.roundInFloor >= gameState.levelConfig.roundsPerArena) {
+        enterBossFight();
+    } else {
+        enterIntermission();
+    }
+}
+
+function refreshBossHUD() {
+    const boss = gameState.boss;
+    if (!boss) {
+        updateBossHUD(null);
+        return;
+    }
+
+    const state = boss.userData.boss;
+    updateBossHUD({
+        name: boss.name,
+        health: boss.health,
+        healthMax: state.healthMax,
+        stage: state.stageIndex + 1,
+        stageCount: state.definition.stages.length
+    });
+}
+
+function enterBossFight() {
+    const definition = getBossForArena(gameState.levelConfig.arenaId);
+    setPhase(PHASES.BOSS, BOSS_INTRO_SECONDS);
+    gameState.combatLive = false;
+    clearBulletArray(gameState.enemyBullets);
+
+    gameState.boss = createBoss(
+        gameState.scene,
+        definition,
+        gameState.mapMeta,
+        gameState.levelConfig.enemyScaling.health,
+        gameState.levelConfig.enemyScaling.damage
+    );
+    gameState.bossAddsSummoned = 0;
+    gameState.enemies.push(gameState.boss);
+    // The boss fights alone; summoned droids regroup as a fresh squad
+    assignSquadRoles(gameState.squad, [], gameState.round);
+
+    refreshBossHUD();
+    showRoundBanner(`BOSS · ${definition.name.toUpperCase()}`, 1800);
+    setHUDObjective(`Destroy the ${definition.name} - hit its glowing weak points`);
+    log(CATEGORIES.PROGRESSION, LEVELS.INFO, 'Boss fight', {
+        boss: definition.name,
+        arena: gameState.levelConfig.arenaId,
+        floor: gameState.floor
+    });
+}
+
+function activateBossFight() {
+    gameState.combatLive = true;
+    gameState.phaseTimer = 0;
+    setCrosshairVisible(true);
+    log(CATEGORIES.PHASE, LEVELS.INFO, 'Boss fight live');
+}
+
+function handleBossStageChange(boss, stageIndex) {
+    const stage = boss.userData.boss.definition.stages[stageIndex];
+    refreshBossHUD();
+    showRoundBanner(`${boss.name.toUpperCase()} · STAGE ${stageIndex + 1}`, 1200);
+    if (stage.exposes && stage.exposes.length > 0) {
+        showPickupNotice(`${stage.exposes.join(' + ').toUpperCase()} EXPOSED`, 1600);
+        emitDroidHit(boss, boss.position.clone().setY(boss.position.y + 2.9), null);
+    }
+}
+
+function handleBossSummon(boss, archetypeKeys) {
+    const adds = summonDroids(
+        gameState.scene,
+        archetypeKeys,
+        ENEMY_COLORS,
+        boss.position,
+        gameState.mapMeta,
+        BOSS_ADD_FIRST_ID + gameState.bossAddsSummoned
+    );
+    gameState.bossAddsSummoned += adds.length;
+    applyFloorHealthScaling(adds);
+    gameState.enemies.push(...adds);
+}
+
+// Remaining adds go down with the boss
+function defeatBoss() {
+    log(CATEGORIES.PROGRESSION, LEVELS.INFO, 'Boss defeated', {
+        boss: gameState.boss.name,
+        floor: gameState.floor
+    });
+
+    gameState.enemies.forEach(enemy => {
+        enemy.health = 0;
+        spawnDroidWreck(gameState.scene, enemy);
+    });
+    clearDroids(gameState.scene, gameState.enemies);
+    // Emptied in place: bullet and grenade updates may still hold this array
+    gameState.enemies.length = 0;
+    gameState.boss = null;
+    refreshBossHUD();
+    enterRoundEnd();
+}
+
+function clearBoss() {
+    gameState.boss = null;
+    gameState.bossAddsSummoned = 0;
+    updateBossHUD(null);
+}
+
 function enterRoundEnd() {
     setPhase(PHASES.ROUND_END, ROUND_END_SECONDS);
     gameState.combatLive = false;
@@ -355,8 +677,17 @@ function advanceToNextFloor() {
 
     clearDroids(gameState.scene, gameState.enemies);
     gameState.enemies = [];
+    clearBoss();
     clearBulletArray(gameState.bullets);
     clearBulletArray(gameState.enemyBullets);
+    clearGrenades();
+    clearImpactEffects();
+    clearAwarenessIndicators();
+    clearDroidWrecks();
+    clearAIDebugOverlay();
+    clearDamageNumbers();
+    gameState.meleeSwings.length = 0;
+    log(CATEGORIES.SYSTEM, LEVELS.DEBUG, 'Tracer pool', getTracerPoolStats());
 
     loadArenaForFloor(gameState.floor);
     spawnEnemies(gameState.enemiesInRound);
@@ -386,17 +717,44 @@ function applyPickup(type) {
         return;
     }
 
-    if (type === 'unlock_shotgun' && !gameState.unlockedWeapons.has('shotgun')) {
-        gameState.unlockedWeapons.add('shotgun');
-        showPickupNotice('Shotgun unlocked (Key 2)');
-        log(CATEGORIES.PROGRESSION, LEVELS.INFO, 'Weapon unlocked', { weapon: 'shotgun', round: gameState.round });
+    if (type === 'ammo') {
+        let restored = 0;
+        gameState.unlockedWeapons.forEach(weaponType => {
+            const ammoState = gameState.weaponAmmo[weaponType];
+            if (!ammoState) return;
+
+            const maxReserve = weapons[weaponType].maxReserve;
+            const before = ammoState.reserve;
+            ammoState.reserve = Math.min(maxReserve, before + Math.ceil(maxReserve * AMMO_PICKUP_FRACTION));
+            restored += ammoState.reserve - before;
+        });
+        updateHudCoreState();
+        showPickupNotice(`Ammo resupplied +${restored}`);
+        log(CATEGORIES.PICKUP, LEVELS.INFO, 'Ammo restored', { restored });
+        return;
+    }
+
+    if (type.startsWith('grenade_')) {
+        const grenadeType = type.replace('grenade_', '');
+        const config = grenades[grenadeType];
+        if (!config) return;
+
+        const before = gameState.grenadeCounts[grenadeType];
+        gameState.grenadeCounts[grenadeType] = Math.min(config.maxCarry, before + config.pickupAmount);
+        updateHudCoreState();
+        showPickupNotice(`${config.name} +${gameState.grenadeCounts[grenadeType] - before}`);
+        log(CATEGORIES.PICKUP, LEVELS.INFO, 'Grenades restocked', {
+            type: grenadeType,
+            count: gameState.grenadeCounts[grenadeType]
+        });
         return;
     }
 
-    if (type === 'unlock_sniper' && !gameState.unlockedWeapons.has('sniper')) {
-        gameState.unlockedWeapons.add('sniper');
-        showPickupNotice('Sniper unlocked (Key 3)');
-        log(CATEGORIES.PROGRESSION, LEVELS.INFO, 'Weapon unlocked', { weapon: 'sniper', round: gameState.round });
+    const weaponType = type.replace('unlock_', '');
+    if (type.startsWith('unlock_') && weapons[weaponType] && !gameState.unlockedWeapons.has(weaponType)) {
+        gameState.unlockedWeapons.add(weaponType);
+        showPickupNotice(`${weapons[weaponType].name} unlocked (Key ${weapons[weaponType].slot})`);
+        log(CATEGORIES.PROGRESSION, LEVELS.INFO, 'Weapon unlocked', { weapon: weaponType, round: gameState.round });
     }
 }
 
@@ -412,8 +770,15 @@ function attemptWeaponSwitch(weaponType) {
     }
 
     gameState.weaponType = weaponType;
-    gameState.maxAmmo = weapons[weaponType].maxAmmo;
-    gameState.ammo = gameState.weaponAmmo[weaponType];
+    gameState.maxAmmo = weapons[weaponType].maxAmmo ?? 0;
+    gameState.ammo = gameState.weaponAmmo[weaponType]?.magazine ?? 0;
+    gameState.meleeSwings.length = 0;
+    cancelReload(gameState.reload, 'weapon switch');
+    setViewmodelReload(null);
+    gameState.trigger.pullPending = false;
+    gameState.trigger.burstRemaining = 0;
+    gameState.ads.amount = 0;
+    resetRecoil();
     setViewmodelWeapon(gameState.weaponType);
 
     updateHudCoreState();
@@ -422,57 +787,292 @@ function attemptWeaponSwitch(weaponType) {
 }
 
 function fireWeapon() {
-    if (!gameState.gameStarted || gameState.phase !== PHASES.COMBAT || !gameState.combatLive) return;
+    if (!isCombatLive()) return false;
+    if (gameState.reload.active) return false;
+
+    if (!isMeleeWeapon(gameState.weaponType) && gameState.ammo <= 0) {
+        reloadCurrentWeapon();
+        return false;
+    }
 
-    const previousAmmo = gameState.ammo;
     const result = fireWeaponLogic({
         weaponType: gameState.weaponType,
         weapons,
         ammo: gameState.ammo,
         lastFireTime: gameState.lastFireTime,
+        runtime: gameState.weaponRuntime[gameState.weaponType],
         camera: gameState.camera,
         scene: gameState.scene,
         bullets: gameState.bullets,
-        updateHUD: () => updateHudCoreState()
+        meleeSwings: gameState.meleeSwings,
+        updateHUD: () => updateHudCoreState(),
+        spreadMultiplier: getSpreadMultiplier()
     });
 
-    gameState.ammo = result.ammo;
     gameState.lastFireTime = result.lastFireTime;
-    gameState.weaponAmmo[gameState.weaponType] = gameState.ammo;
 
-    if (result.ammo < previousAmmo) {
+    if (isMeleeWeapon(gameState.weaponType)) {
+        if (result.fired) {
+            gameState.telemetry.firedTimer = 0.08;
+            emitNoise(gameState.noiseEvents, 'MELEE', gameState.player.position);
+            triggerViewmodelSwing(weapons[gameState.weaponType].fireRate / 1000 * 0.85);
+        }
+        return result.fired;
+    }
+
+    gameState.ammo = result.ammo;
+    gameState.weaponAmmo[gameState.weaponType].magazine = gameState.ammo;
+
+    if (result.fired) {
         gameState.telemetry.firedTimer = 0.24;
-        applyViewmodelRecoil(1);
+        emitNoise(gameState.noiseEvents, 'GUNFIRE', gameState.player.position);
+        applyViewmodelRecoil(1, result.muzzleSide);
+        applyRecoilKick(result.recoil);
     }
 
     updateHudCoreState();
+    return result.fired;
+}
+
+function resetTrigger() {
+    gameState.trigger.held = false;
+    gameState.trigger.pullPending = false;
+    gameState.trigger.burstRemaining = 0;
+}
+
+function updateTrigger() {
+    const trigger = gameState.trigger;
+    if (!gameState.combatLive) {
+        trigger.pullPending = false;
+        trigger.burstRemaining = 0;
+        return;
+    }
+
+    const mode = parseFireMode(gameState.weaponRuntime[gameState.weaponType].fireMode);
+
+    if (mode.kind === 'auto') {
+        trigger.pullPending = false;
+        if (trigger.held) {
+            fireWeapon();
+        }
+        return;
+    }
+
+    if (trigger.pullPending && trigger.burstRemaining === 0) {
+        if (mode.kind === 'burst') {
+            trigger.pullPending = false;
+            trigger.burstRemaining = mode.count;
+        } else if (fireWeapon() || !trigger.held) {
+            // Semi-auto keeps a held pull queued until the weapon is ready
+            trigger.pullPending = false;
+        }
+    }
+
+    if (trigger.burstRemaining > 0) {
+        if (fireWeapon()) {
+            trigger.burstRemaining -= 1;
+        } else if (gameState.ammo <= 0 && !isMeleeWeapon(gameState.weaponType)) {
+            trigger.burstRemaining = 0;
+        }
+    }
+}
+
+function cycleFireMode() {
+    const modes = getFireModes(gameState.weaponType);
+    if (modes.length < 2) return;
+
+    const runtime = gameState.weaponRuntime[gameState.weaponType];
+    runtime.fireMode = modes[(modes.indexOf(runtime.fireMode) + 1) % modes.length];
+    gameState.trigger.burstRemaining = 0;
+
+    updateHudCoreState();
+    showPickupNotice(`Fire mode: ${runtime.fireMode.toUpperCase()}`, 1000);
+    log(CATEGORIES.WEAPON, LEVELS.INFO, 'Fire mode changed', {
+        weapon: gameState.weaponType,
+        mode: runtime.fireMode
+    });
 }
 
 function reloadCurrentWeapon() {
-    gameState.ammo = reloadWeapon(
+    if (isMeleeWeapon(gameState.weaponType) || isSprinting()) return;
+
+    const started = startReload(
         gameState.weaponType,
         weapons,
-        gameState.ammo,
-        () => updateHudCoreState()
+        gameState.weaponAmmo[gameState.weaponType],
+        gameState.reload
     );
 
-    gameState.weaponAmmo[gameState.weaponType] = gameState.ammo;
+    if (started) {
+        gameState.trigger.burstRemaining = 0;
+        updateHudCoreState();
+    }
+}
+
+function tickReload(delta) {
+    const reload = gameState.reload;
+    if (!reload.active) {
+        setViewmodelReload(null);
+        return;
+    }
+
+    if (isSprinting()) {
+        cancelReload(reload, 'sprint');
+        setViewmodelReload(null);
+        updateHudCoreState();
+        return;
+    }
+
+    if (updateReload(reload, weapons, gameState.weaponAmmo, delta)) {
+        gameState.ammo = gameState.weaponAmmo[gameState.weaponType].magazine;
+        setViewmodelReload(null);
+    } else {
+        setViewmodelReload(reload.elapsed / reload.duration);
+    }
     updateHudCoreState();
 }
 
+function applyRecoilKick(kick) {
+    if (!kick) return;
+    gameState.recoil.pitch += kick.pitch;
+    gameState.recoil.yaw += kick.yaw;
+}
+
+function resetRecoil() {
+    gameState.recoil.pitch = 0;
+    gameState.recoil.yaw = 0;
+    gameState.recoil.recoverable = 0;
+}
+
+// Kicks are eased into the camera over a few frames; part of the climb is
+// pulled back once the spray ends
+function tickRecoil(delta) {
+    const recoil = gameState.recoil;
+    const config = weapons[gameState.weaponType].recoil;
+    if (!config) {
+        resetRecoil();
+        return;
+    }
+
+    const share = Math.min(1, delta * RECOIL_KICK_RATE);
+    const pitch = recoil.pitch * share;
+    const yaw = recoil.yaw * share;
+    rotateCamera(gameState.camera, yaw, pitch);
+    recoil.pitch -= pitch;
+    recoil.yaw -= yaw;
+    recoil.recoverable += pitch * config.recovery;
+
+    const spraying = Date.now() - gameState.lastFireTime < config.resetTime;
+    if (!spraying && recoil.recoverable > 0) {
+        const back = Math.min(recoil.recoverable, delta * RECOIL_RECOVERY_SPEED);
+        rotateCamera(gameState.camera, 0, -back);
+        recoil.recoverable -= back;
+    }
+}
+
+function tickCrosshair(delta) {
+    const weapon = weapons[gameState.weaponType];
+    const runtime = gameState.weaponRuntime[gameState.weaponType];
+    const target = getWeaponSpread(weapon, runtime, getSpreadMultiplier());
+    gameState.crosshairSpread += (target - gameState.crosshairSpread) * Math.min(1, delta * CROSSHAIR_SMOOTHING);
+    setCrosshairSpread(gameState.crosshairSpread, gameState.camera.fov);
+}
+
+function resetAim() {
+    const ads = gameState.ads;
+    ads.held = false;
+    ads.amount = 0;
+    ads.swayAmplitude = 0;
+    ads.swayYaw = 0;
+    ads.swayPitch = 0;
+
+    setCameraFov(gameState.camera, BASE_FOV);
+    setLookSensitivity(gameState.controls, 1);
+    setScopeOverlay(false);
+    setCrosshairAiming(false);
+    setViewmodelAim(0, false);
+}
+
+// Scope sway is applied as a per-frame camera offset so it moves the actual aim
+function tickScopeSway(delta, targetAmplitude) {
+    const ads = gameState.ads;
+    ads.swayTime += delta;
+    ads.swayAmplitude += (targetAmplitude - ads.swayAmplitude) * Math.min(1, delta * 4);
+
+    const yaw = Math.sin(ads.swayTime * 0.8) * ads.swayAmplitude;
+    const pitch = Math.sin(ads.swayTime * 1.6) * ads.swayAmplitude * 0.6;
+    rotateCamera(gameState.camera, yaw - ads.swayYaw, pitch - ads.swayPitch);
+    ads.swayYaw = yaw;
+    ads.swayPitch = pitch;
+}
+
+function tickAim(delta) {
+    const ads = gameState.ads;
+    const config = weapons[gameState.weaponType].ads;
+    const step = delta / config.time;
+    ads.amount = isAiming()
+        ? Math.min(1, ads.amount + step)
+        : Math.max(0, ads.amount - step);
+
+    const blend = getAimBlend();
+    const scoped = Boolean(config.scope) && ads.amount >= 1;
+    setCameraFov(gameState.camera, BASE_FOV + (config.fov - BASE_FOV) * blend);
+    setLookSensitivity(gameState.controls, 1 + (config.sensitivity - 1) * blend);
+    setScopeOverlay(scoped);
+    setCrosshairAiming(ads.amount > 0.5);
+    setViewmodelAim(blend, scoped);
+
+    const sway = scoped ? config.sway * (gameState.isCrouching ? SCOPE_CROUCH_SWAY : 1) : 0;
+    tickScopeSway(delta, sway);
+}
+
+function throwCurrentGrenade() {
+    if (!isCombatLive()) return;
+
+    const type = gameState.grenadeType;
+    if (gameState.grenadeCounts[type] <= 0) {
+        showPickupNotice(`No ${grenades[type].name}s left`);
+        return;
+    }
+
+    const now = Date.now();
+    if (now - gameState.lastGrenadeTime < GRENADE_THROW_COOLDOWN) return;
+    gameState.lastGrenadeTime = now;
+
+    throwGrenade({
+        grenadeType: type,
+        grenades,
+        camera: gameState.camera,
+        scene: gameState.scene,
+        thrownGrenades: gameState.thrownGrenades
+    });
+    gameState.grenadeCounts[type] -= 1;
+    gameState.telemetry.firedTimer = Math.max(gameState.telemetry.firedTimer, 0.1);
+    updateHudCoreState();
+}
+
+function cycleGrenadeType() {
+    const index = GRENADE_TYPES.indexOf(gameState.grenadeType);
+    gameState.grenadeType = GRENADE_TYPES[(index + 1) % GRENADE_TYPES.length];
+    updateHudCoreState();
+    showPickupNotice(`Grenade: ${grenades[gameState.grenadeType].name} (${gameState.grenadeCounts[gameState.grenadeType]})`);
+}
+
 function resetTelemetry() {
     gameState.telemetry.light = 0;
     gameState.telemetry.sound = 0;
     gameState.telemetry.firedTimer = 0;
     gameState.telemetry.jumpTimer = 0;
     gameState.telemetry.landTimer = 0;
+    gameState.telemetry.sprintNoiseTimer = 0;
+    gameState.noiseEvents.length = 0;
     updateStealthHUD({ light: 0, sound: 0 });
 }
 
 function startGame() {
     syncWeaponCardLocks();
-    if (!START_UNLOCKED_WEAPONS.has(gameState.weaponType)) {
-        gameState.weaponType = 'rifle';
+    if (!getStartUnlockedWeapons().has(gameState.weaponType)) {
+        gameState.weaponType = getDefaultWeapon();
     }
 
     document.getElementById('startScreen').style.display = 'none';
@@ -487,20 +1087,33 @@ function startGame() {
     gameState.levelConfig = getLevelConfig(1);
     gameState.enemiesInRound = getEnemiesForRound(gameState.round, gameState.floor);
     gameState.health = 100;
-    gameState.unlockedWeapons = new Set(['rifle']);
-    gameState.weaponAmmo = {
-        rifle: weapons.rifle.maxAmmo,
-        shotgun: weapons.shotgun.maxAmmo,
-        sniper: weapons.sniper.maxAmmo
-    };
-    gameState.maxAmmo = weapons[gameState.weaponType].maxAmmo;
-    gameState.ammo = gameState.weaponAmmo[gameState.weaponType];
+    gameState.unlockedWeapons = getStartUnlockedWeapons();
+    gameState.grenadeCounts = createGrenadeCounts();
+    gameState.grenadeType = 'frag';
+    gameState.weaponAmmo = createWeaponAmmo();
+    gameState.weaponRuntime = createWeaponRuntime(weapons);
+    gameState.maxAmmo = weapons[gameState.weaponType].maxAmmo ?? 0;
+    gameState.ammo = gameState.weaponAmmo[gameState.weaponType]?.magazine ?? 0;
     gameState.lastFireTime = 0;
+    resetTrigger();
+    resetAim();
+    resetRecoil();
+    cancelReload(gameState.reload, 'new game');
+    setViewmodelReload(null);
+    gameState.sprintHeld = false;
 
     clearDroids(gameState.scene, gameState.enemies);
     gameState.enemies = [];
+    clearBoss();
     clearBulletArray(gameState.bullets);
     clearBulletArray(gameState.enemyBullets);
+    clearGrenades();
+    clearImpactEffects();
+    clearAwarenessIndicators();
+    clearDroidWrecks();
+    clearAIDebugOverlay();
+    clearDamageNumbers();
+    gameState.meleeSwings.length = 0;
     clearPickups(gameState.scene, gameState.activePickups);
     resetVisor();
     resetTelemetry();
@@ -529,14 +1142,22 @@ function gameOver() {
     gameState.gameStarted = false;
     gameState.phase = PHASES.IDLE;
     gameState.combatLive = false;
+    resetTrigger();
+    resetAim();
+    resetRecoil();
+    cancelReload(gameState.reload, 'game over');
     setCrosshairVisible(false);
     setViewmodelVisible(false);
     showCountdown(null);
     showIntermissionTimer(null);
     setHUDObjective('');
+    updateBossHUD(null);
     clearPickups(gameState.scene, gameState.activePickups);
     clearBulletArray(gameState.bullets);
     clearBulletArray(gameState.enemyBullets);
+    clearGrenades();
+    clearDamageNumbers();
+    gameState.meleeSwings.length = 0;
     closeSafeGate();
 
     document.getElementById('gameOver').style.display = 'block';
@@ -557,9 +1178,10 @@ function gameOver() {
 
             clearDroids(gameState.scene, gameState.enemies);
             gameState.enemies = [];
-            gameState.unlockedWeapons = new Set(['rifle']);
-            gameState.weaponType = 'rifle';
-            highlightSelectedWeaponCard('rifle');
+            clearBoss();
+            gameState.unlockedWeapons = getStartUnlockedWeapons();
+            gameState.weaponType = getDefaultWeapon();
+            highlightSelectedWeaponCard(gameState.weaponType);
             syncWeaponCardLocks();
             resetPlayerToSpawn();
             resetVisor();
@@ -594,10 +1216,16 @@ function updatePhase(delta) {
         }
 
         if (gameState.enemies.length === 0) {
-            if (gameState.roundInFloor >= gameState.levelConfig.roundsPerArena) {
-                enterRoundEnd();
-            } else {
-                enterIntermission();
+            finishCombatRound();
+        }
+        return;
+    }
+
+    if (gameState.phase === PHASES.BOSS) {
+        if (!gameState.combatLive) {
+            gameState.phaseTimer -= delta;
+            if (gameState.phaseTimer <= 0) {
+                activateBossFight();
             }
         }
         return;
@@ -638,6 +1266,36 @@ function updatePhase(delta) {
     }
 }
 
+function tickWeaponRuntime(delta) {
+    Object.keys(gameState.weaponRuntime).forEach(key => {
+        updateWeaponRuntime(
+            weapons[key],
+            gameState.weaponRuntime[key],
+            delta,
+            key === gameState.weaponType
+        );
+    });
+
+    const weapon = weapons[gameState.weaponType];
+    if (weapon.spinUp || weapon.heatPerShot) {
+        updateHudCoreState();
+    }
+}
+
+// Sprinting footsteps are a steady stream of noise events
+function tickSprintNoise(delta) {
+    if (!isSprinting() || gameState.movementMagnitude < 0.5) {
+        gameState.telemetry.sprintNoiseTimer = 0;
+        return;
+    }
+
+    gameState.telemetry.sprintNoiseTimer -= delta;
+    if (gameState.telemetry.sprintNoiseTimer <= 0) {
+        gameState.telemetry.sprintNoiseTimer = SPRINT_NOISE_INTERVAL;
+        emitNoise(gameState.noiseEvents, 'SPRINT', gameState.player.position, gameState.telemetry.sound);
+    }
+}
+
 function tickTelemetry(delta) {
     gameState.telemetry.firedTimer = Math.max(0, gameState.telemetry.firedTimer - delta);
     gameState.telemetry.jumpTimer = Math.max(0, gameState.telemetry.jumpTimer - delta);
@@ -665,7 +1323,8 @@ function tickTelemetry(delta) {
         mapMeta: gameState.mapMeta,
         obstacles: gameState.obstacles,
         raycaster: gameState.raycaster,
-        isCrouching: gameState.isCrouching
+        isCrouching: gameState.isCrouching,
+        smokeClouds: gameState.smokeClouds
     });
 
     updateStealthHUD({
@@ -696,18 +1355,35 @@ function onKeyDownHandler(event) {
         case 'KeyR':
             reloadCurrentWeapon();
             break;
+        case 'KeyB':
+            cycleFireMode();
+            break;
+        case 'KeyG':
+            throwCurrentGrenade();
+            break;
+        case 'KeyQ':
+            cycleGrenadeType();
+            break;
+        case 'KeyN':
+            toggleDamageNumbers();
+            break;
+        case 'KeyV':
+            toggleAIDebugOverlay();
+            break;
         case 'ControlLeft':
         case 'KeyC':
             gameState.isCrouching = true;
             break;
-        case 'Digit1':
-            attemptWeaponSwitch('rifle');
-            break;
-        case 'Digit2':
-            attemptWeaponSwitch('shotgun');
+        case 'ShiftLeft':
+            gameState.sprintHeld = true;
             break;
-        case 'Digit3':
-            attemptWeaponSwitch('sniper');
+        default:
+            if (event.code.startsWith('Digit')) {
+                const slotWeapon = getWeaponForSlot(Number(event.code.slice(5)));
+                if (slotWeapon) {
+                    attemptWeaponSwitch(slotWeapon);
+                }
+            }
             break;
     }
 }
@@ -732,9 +1408,34 @@ function onKeyUpHandler(event) {
         case 'KeyC':
             gameState.isCrouching = false;
             break;
+        case 'ShiftLeft':
+            gameState.sprintHeld = false;
+            break;
     }
 }
 
+function onMouseDownHandler(event) {
+    if (!gameState.gameStarted) return;
+
+    if (event.button === 2) {
+        gameState.ads.held = true;
+        return;
+    }
+    if (event.button !== 0) return;
+
+    gameState.trigger.held = true;
+    gameState.trigger.pullPending = true;
+}
+
+function onMouseUpHandler(event) {
+    if (event.button === 2) {
+        gameState.ads.held = false;
+        return;
+    }
+    if (event.button !== 0) return;
+    gameState.trigger.held = false;
+}
+
 function setupEventListeners() {
     document.querySelectorAll('.weapon-card').forEach(card => {
         card.addEventListener('click', () => {
@@ -747,14 +1448,76 @@ function setupEventListeners() {
     });
 
     document.getElementById('startButton').addEventListener('click', startGame);
-    document.addEventListener('click', () => fireWeapon(), false);
+    document.addEventListener('mousedown', onMouseDownHandler, false);
+    document.addEventListener('mouseup', onMouseUpHandler, false);
+    document.addEventListener('contextmenu', event => {
+        if (gameState.gameStarted) event.preventDefault();
+    });
     document.addEventListener('keydown', onKeyDownHandler, false);
     document.addEventListener('keyup', onKeyUpHandler, false);
     window.addEventListener('resize', () => handleResize(gameState.camera, gameState.renderer), false);
 }
 
+function handleEnemyKilled(enemy) {
+    spawnDroidWreck(gameState.scene, enemy);
+
+    if (enemy === gameState.boss) {
+        defeatBoss();
+        return;
+    }
+
+    if (gameState.phase === PHASES.COMBAT && gameState.combatLive && gameState.enemies.length === 0) {
+        finishCombatRound();
+    }
+}
+
+function handlePlayerHit(damage) {
+    gameState.health -= damage;
+    updateHudCoreState();
+    onPlayerHit(damage, gameState.health);
+    updateVisor(gameState.health);
+    if (gameState.health <= 0) {
+        gameOver();
+    }
+}
+
+function handleEnemyHit(enemy, hit) {
+    if (enemy === gameState.boss) {
+        refreshBossHUD();
+    }
+    showHitMarker(hit);
+    showDamageNumber(enemy, hit.damage, hit.point || getDamageNumberAnchor(enemy), hit);
+    emitDroidHit(enemy, hit.point, hit.direction);
+}
+
+// Melee and grenade hits carry no impact point; float their numbers over the head
+function getDamageNumberAnchor(enemy) {
+    return enemy.position.clone().setY(enemy.position.y + DAMAGE_NUMBER_HEIGHT);
+}
+
+function toggleDamageNumbers() {
+    const enabled = !areDamageNumbersEnabled();
+    setDamageNumbersEnabled(enabled);
+    showPickupNotice(`Damage numbers: ${enabled ? 'ON' : 'OFF'}`, 1000);
+}
+
+function toggleAIDebugOverlay() {
+    const enabled = !isAIDebugOverlayEnabled();
+    setAIDebugOverlayEnabled(enabled);
+    showPickupNotice(`AI debug overlay: ${enabled ? 'ON' : 'OFF'}`, 1000);
+}
+
+function handleBulletImpact(impact) {
+    if (impact.enemy) {
+        emitDroidHit(impact.enemy, impact.point, impact.direction);
+    } else {
+        emitWallImpact(impact);
+    }
+}
+
 function updateGame(delta) {
     updatePhase(delta);
+    updateTrigger();
 
     const oldPosition = gameState.player.position.clone();
     const wasGrounded = gameState.playerMotion.canJump;
@@ -768,10 +1531,12 @@ function updateGame(delta) {
             moveBackward: gameState.moveBackward,
             moveLeft: gameState.moveLeft,
             moveRight: gameState.moveRight,
-            isCrouching: gameState.isCrouching
+            isCrouching: gameState.isCrouching,
+            isSprinting: isSprinting()
         },
         {
             speed: PLAYER_SPEED,
+            sprintSpeed: PLAYER_SPEED * SPRINT_MULTIPLIER,
             crouchSpeed: PLAYER_SPEED * 0.55,
             standHeight: PLAYER_HEIGHT,
             crouchHeight: PLAYER_HEIGHT * 0.7,
@@ -784,11 +1549,27 @@ function updateGame(delta) {
         gameState.mapMeta.worldBounds
     );
 
+    updateMeleeSwings(
+        delta,
+        gameState.meleeSwings,
+        gameState.enemies,
+        gameState.player,
+        gameState.camera,
+        gameState.obstacles,
+        gameState.scene,
+        gameState.raycaster,
+        gameState.mapMeta.worldBounds,
+        handleEnemyKilled,
+        handleEnemyHit
+    );
+
     const nowGrounded = gameState.playerMotion.canJump;
     if (wasGrounded && !nowGrounded) {
         gameState.telemetry.jumpTimer = 0.34;
+        emitNoise(gameState.noiseEvents, 'JUMP', gameState.player.position, gameState.telemetry.sound);
     } else if (!wasGrounded && nowGrounded) {
         gameState.telemetry.landTimer = 0.25;
+        emitNoise(gameState.noiseEvents, 'LANDING', gameState.player.position, gameState.telemetry.sound);
     }
 
     const movedDistance = new THREE.Vector2(
@@ -797,6 +1578,7 @@ function updateGame(delta) {
     ).length();
     const expectedStep = Math.max(0.0001, PLAYER_SPEED * delta * 60);
     gameState.movementMagnitude = Math.max(0, Math.min(1, movedDistance / expectedStep));
+    tickSprintNoise(delta);
 
     updateEnemies(
         delta,
@@ -813,10 +1595,33 @@ function updateGame(delta) {
         gameState.enemyBullets,
         gameState.raycaster,
         gameState.mapMeta,
-        gameState.phase === PHASES.COMBAT && gameState.combatLive
+        isCombatLive(),
+        gameState.smokeClouds,
+        gameState.squad,
+        gameState.noiseEvents,
+        gameState.telemetry.light,
+        handlePlayerHit
     );
+    updateBoss(
+        delta,
+        gameState.boss,
+        gameState.enemies,
+        gameState.player,
+        gameState.playerMotion.canJump,
+        gameState.obstacles,
+        gameState.scene,
+        gameState.enemyBullets,
+        gameState.raycaster,
+        gameState.mapMeta,
+        isCombatLive(),
+        handlePlayerHit,
+        handleBossStageChange,
+        handleBossSummon
+    );
+    updateNoiseEvents(gameState.noiseEvents, delta);
 
     updateBullets(
+        delta,
         gameState.bullets,
         gameState.enemyBullets,
         gameState.enemies,
@@ -825,26 +1630,33 @@ function updateGame(delta) {
         gameState.scene,
         gameState.raycaster,
         () => {},
-        () => {
-            if (gameState.phase === PHASES.COMBAT && gameState.combatLive && gameState.enemies.length === 0) {
-                if (gameState.roundInFloor >= gameState.levelConfig.roundsPerArena) {
-                    enterRoundEnd();
-                } else {
-                    enterIntermission();
-                }
-            }
-        },
-        damage => {
-            gameState.health -= damage;
-            updateHudCoreState();
-            onPlayerHit(damage, gameState.health);
-            updateVisor(gameState.health);
-            if (gameState.health <= 0) {
-                gameOver();
-            }
-        }
+        handleEnemyKilled,
+        handlePlayerHit,
+        handleEnemyHit,
+        handleBulletImpact
     );
 
+    updateGrenades(
+        delta,
+        gameState.thrownGrenades,
+        gameState.smokeClouds,
+        gameState.grenadeBlasts,
+        gameState.enemies,
+        gameState.player,
+        gameState.obstacles,
+        gameState.scene,
+        gameState.raycaster,
+        gameState.mapMeta.worldBounds,
+        handleEnemyKilled,
+        handleEnemyHit,
+        handlePlayerHit
+    );
+    updateImpactEffects(delta);
+    updateDroidWrecks(delta);
+    updateAwarenessIndicators(gameState.scene, gameState.enemies, gameState.camera);
+    updateAIDebugOverlay(gameState.scene, gameState.enemies, gameState.player, gameState.mapMeta);
+    updateDamageNumbers(delta, gameState.camera);
+
     updatePickups(gameState.activePickups, delta);
 
     if (gameState.phase === PHASES.INTERMISSION || gameState.phase === PHASES.PREP_COUNTDOWN) {
@@ -856,22 +1668,45 @@ function updateGame(delta) {
         });
     }
 
+    tickWeaponRuntime(delta);
+    tickReload(delta);
+    tickAim(delta);
+    tickRecoil(delta);
+    tickCrosshair(delta);
     tickTelemetry(delta);
     updateViewmodelSprite({
         delta,
         movementIntensity: gameState.movementMagnitude,
-        isCrouching: gameState.isCrouching
+        isCrouching: gameState.isCrouching,
+        spin: gameState.weaponRuntime[gameState.weaponType].spin
     });
 
     updateMinimap(gameState.player, gameState.camera, gameState.enemies, WORLD_WIDTH, WORLD_DEPTH);
 }
 
-function init() {
+async function init() {
     log(CATEGORIES.SYSTEM, LEVELS.INFO, '=== Neon Arena FPS - Tactical HUD Telemetry Build ===');
 
+    const weaponSelection = document.querySelector('.weapon-selection');
+    try {
+        await loadWeaponRegistry();
+    } catch (error) {
+        log(CATEGORIES.SYSTEM, LEVELS.ERROR, 'Weapon registry failed to load', { error: error.message });
+        renderWeaponLoadError(weaponSelection, error);
+        document.getElementById('startButton').disabled = true;
+        return;
+    }
+    log(CATEGORIES.WEAPON, LEVELS.INFO, 'Weapon registry loaded', { weapons: Object.keys(weapons) });
+
+    gameState.weaponType = getDefaultWeapon();
+    gameState.weaponAmmo = createWeaponAmmo();
+    gameState.weaponRuntime = createWeaponRuntime(weapons);
+    gameState.unlockedWeapons = getStartUnlockedWeapons();
+
     initHUD();
+    renderWeaponCards(weaponSelection, weapons);
     syncWeaponCardLocks();
-    highlightSelectedWeaponCard('rifle');
+    highlightSelectedWeaponCard(gameState.weaponType);
     setCrosshairVisible(false);
     showCountdown(null);
     showIntermissionTimer(null);
@@ -890,6 +1725,7 @@ function init() {
     gameState.mouse = sceneSetup.mouse;
 
     gameState.player = createPlayer(gameState.scene, PLAYER_HEIGHT);
+    initImpactEffects(gameState.scene);
 
     loadArenaForFloor(1);
     initMinimap();
@@ -14,7 +14,15 @@ const hudState = {
         round: 1,
         floor: 1,
         weaponType: 'rifle',
-        isMelee: false
+        isMelee: false,
+        fireMode: null,
+        reserve: null,
+        reloadProgress: null,
+        heat: null,
+        overheated: false,
+        spin: 0,
+        grenadeLabel: null,
+        grenadeCount: 0
     },
     stealth: {
         light: 0,
@@ -47,9 +55,19 @@ export function initHUD() {
         soundValue: document.getElementById('soundValue'),
         ammoFill: document.getElementById('ammoFill'),
         ammoValue: document.getElementById('ammoValue'),
+        reloadFill: document.getElementById('reloadFill'),
+        heatRow: document.getElementById('heatRow'),
+        heatFill: document.getElementById('heatFill'),
+        heatValue: document.getElementById('heatValue'),
         roundValue: document.getElementById('roundValue'),
         floorValue: document.getElementById('floorValue'),
-        objective: document.getElementById('hudObjective')
+        grenadeValue: document.getElementById('grenadeValue'),
+        objective: document.getElementById('hudObjective'),
+        bossModule: document.getElementById('bossModule'),
+        bossName: document.getElementById('bossName'),
+        bossStage: document.getElementById('bossStage'),
+        bossFill: document.getElementById('bossFill'),
+        bossValue: document.getElementById('bossValue')
     };
 
     hudState.initialized = true;
@@ -65,7 +83,15 @@ export function updateHUDCore({
     round,
     floor,
     weaponType,
-    isMelee
+    isMelee,
+    fireMode,
+    reserve,
+    reloadProgress,
+    heat,
+    overheated,
+    spin,
+    grenadeLabel,
+    grenadeCount
 }) {
     if (!hudState.initialized) initHUD();
 
@@ -77,6 +103,15 @@ export function updateHUDCore({
     if (floor !== undefined && floor !== null) hudState.core.floor = floor;
     if (weaponType !== undefined && weaponType !== null) hudState.core.weaponType = weaponType;
     if (isMelee !== undefined && isMelee !== null) hudState.core.isMelee = isMelee;
+    if (fireMode !== undefined) hudState.core.fireMode = fireMode;
+    if (reserve !== undefined) hudState.core.reserve = reserve;
+    if (reloadProgress !== undefined) hudState.core.reloadProgress = reloadProgress;
+    // null is meaningful for heat: it hides the meter for weapons without one
+    if (heat !== undefined) hudState.core.heat = heat;
+    if (overheated !== undefined && overheated !== null) hudState.core.overheated = overheated;
+    if (spin !== undefined && spin !== null) hudState.core.spin = spin;
+    if (grenadeLabel !== undefined && grenadeLabel !== null) hudState.core.grenadeLabel = grenadeLabel;
+    if (grenadeCount !== undefined && grenadeCount !== null) hudState.core.grenadeCount = grenadeCount;
 
     const refs = hudState.refs;
     const healthPct = getPercent(hudState.core.health, hudState.core.healthMax);
@@ -86,9 +121,18 @@ export function updateHUDCore({
         applyBar(refs.ammoFill, refs.ammoValue, 100, 'MELEE');
     } else {
         const ammoPct = getPercent(hudState.core.ammo, hudState.core.ammoMax);
-        applyBar(refs.ammoFill, refs.ammoValue, ammoPct, `${hudState.core.ammo}/${hudState.core.ammoMax}`);
+        const modeLabel = hudState.core.fireMode ? ` · ${hudState.core.fireMode.toUpperCase()}` : '';
+        const reserveLabel = hudState.core.reserve !== null ? ` | ${hudState.core.reserve}` : '';
+        const ammoLabel = hudState.core.reloadProgress !== null
+            ? `RELOADING ${Math.round(hudState.core.reloadProgress * 100)}%`
+            : `${hudState.core.ammo}/${hudState.core.ammoMax}${reserveLabel}${modeLabel}`;
+        applyBar(refs.ammoFill, refs.ammoValue, ammoPct, ammoLabel);
     }
 
+    updateReloadIndicator(refs);
+
+    updateHeatMeter(refs);
+
     if (refs.roundValue) {
         refs.roundValue.textContent = `Round: ${hudState.core.round}`;
     }
@@ -96,6 +140,39 @@ export function updateHUDCore({
     if (refs.floorValue) {
         refs.floorValue.textContent = `Floor: ${hudState.core.floor}`;
     }
+
+    if (refs.grenadeValue && hudState.core.grenadeLabel) {
+        refs.grenadeValue.textContent = `${hudState.core.grenadeLabel} x${hudState.core.grenadeCount}`;
+    }
+}
+
+function updateReloadIndicator(refs) {
+    if (!refs.reloadFill) return;
+
+    const progress = hudState.core.isMelee ? null : hudState.core.reloadProgress;
+    refs.reloadFill.style.display = progress === null ? 'none' : 'block';
+    refs.reloadFill.style.width = `${clamp((progress ?? 0) * 100, 0, 100).toFixed(1)}%`;
+}
+
+function updateHeatMeter(refs) {
+    if (!refs.heatRow) return;
+
+    const { heat, overheated, spin } = hudState.core;
+    if (heat === null) {
+        refs.heatRow.style.display = 'none';
+        return;
+    }
+
+    refs.heatRow.style.display = '';
+    refs.heatFill.classList.toggle('overheated', overheated);
+
+    let label = `${Math.round(heat * 100)}%`;
+    if (overheated) {
+        label = 'OVERHEAT';
+    } else if (spin > 0 && spin < 1) {
+        label = `SPIN ${Math.round(spin * 100)}%`;
+    }
+    applyBar(refs.heatFill, refs.heatValue, heat * 100, label);
 }
 
 export function updateStealthHUD({ light, sound }) {
@@ -135,6 +212,28 @@ export function setHUDObjective(text) {
     objective.style.display = 'block';
 }
 
+/**
+ * Shows the boss health bar, or hides it when boss is null
+ * @param {Object|null} boss - { name, health, healthMax, stage, stageCount }
+ */
+export function updateBossHUD(boss) {
+    if (!hudState.initialized) initHUD();
+
+    const refs = hudState.refs;
+    if (!refs.bossModule) return;
+
+    if (!boss) {
+        refs.bossModule.style.display = 'none';
+        return;
+    }
+
+    refs.bossModule.style.display = 'block';
+    refs.bossName.textContent = boss.name;
+    refs.bossStage.textContent = `Stage ${boss.stage}/${boss.stageCount}`;
+    const healthPct = getPercent(boss.health, boss.healthMax);
+    applyBar(refs.bossFill, refs.bossValue, healthPct, `${Math.ceil(healthPct)}%`);
+}
+
 // Backward compatibility wrappers for existing callers.
 export function updateHUD(ammo, maxAmmo, health, round) {
     updateHUDCore({
@@ -1,10 +1,23 @@
 /**
  * Phase UI utilities
- * Handles countdown/intermission overlays and crosshair visibility.
+ * Handles countdown/intermission overlays, crosshair visibility, the sniper
+ * scope overlay, hit markers and floating damage numbers.
  */
 
 let bannerTimeout = null;
 let pickupTimeout = null;
+let hitMarkerTimeout = null;
+
+const HIT_MARKER_MS = 160;
+const KILL_MARKER_MS = 340;
+const DAMAGE_NUMBER_SECONDS = 0.8;
+const DAMAGE_NUMBER_RISE = 0.9;        // World units climbed over a number's life
+const DAMAGE_MERGE_SECONDS = 0.12;     // Pellets landing together read as one number
+const MAX_DAMAGE_NUMBERS = 24;
+
+const damageNumbers = [];
+let damageNumbersEnabled = true;
+const projected = new THREE.Vector3();
 
 function get(id) {
     return document.getElementById(id);
@@ -69,6 +82,33 @@ export function setCrosshairVisible(isVisible) {
     crosshair.style.display = isVisible ? 'block' : 'none';
 }
 
+// Aiming hides the crosshair without touching its phase-driven visibility
+export function setCrosshairAiming(isAiming) {
+    const crosshair = get('crosshair');
+    if (!crosshair) return;
+    crosshair.classList.toggle('aiming', isAiming);
+}
+
+const CROSSHAIR_MIN_GAP = 3;
+const CROSSHAIR_MAX_GAP = 60;
+
+// Opens the crosshair ticks to the screen-space radius of the current spread
+export function setCrosshairSpread(spread, fov) {
+    const crosshair = get('crosshair');
+    if (!crosshair) return;
+
+    const halfFov = THREE.MathUtils.degToRad(fov) / 2;
+    const radius = (Math.tan(spread / 2) / Math.tan(halfFov)) * (window.innerHeight / 2);
+    const gap = Math.max(CROSSHAIR_MIN_GAP, Math.min(CROSSHAIR_MAX_GAP, radius));
+    crosshair.style.setProperty('--gap', `${gap.toFixed(1)}px`);
+}
+
+export function setScopeOverlay(isVisible) {
+    const scope = get('scopeOverlay');
+    if (!scope) return;
+    scope.style.display = isVisible ? 'block' : 'none';
+}
+
 export function showPickupNotice(text, duration = 1800) {
     const notice = get('pickupNotice');
     if (!notice) return;
@@ -86,3 +126,111 @@ export function showPickupNotice(text, duration = 1800) {
         pickupTimeout = null;
     }, duration);
 }
+
+/**
+ * Flashes the hit marker next to the crosshair
+ * Kills override headshots, which override the plain body marker; core and
+ * limb hits keep their zone tint.
+ * @param {Object} hit - { zone, killed } from the onEnemyHit callback
+ */
+export function showHitMarker({ zone, killed = false }) {
+    const marker = get('hitMarker');
+    if (!marker) return;
+
+    if (hitMarkerTimeout) {
+        clearTimeout(hitMarkerTimeout);
+    }
+
+    const isLimb = zone === 'arm' || zone === 'leg';
+    const kind = killed ? 'kill' : zone === 'head' ? 'headshot' : 'body';
+    marker.className = `marker-${kind} zone-${isLimb ? 'limb' : zone}`;
+    marker.style.display = 'block';
+
+    hitMarkerTimeout = setTimeout(() => {
+        marker.style.display = 'none';
+        hitMarkerTimeout = null;
+    }, killed ? KILL_MARKER_MS : HIT_MARKER_MS);
+}
+
+export function setDamageNumbersEnabled(isEnabled) {
+    damageNumbersEnabled = isEnabled;
+    if (!isEnabled) clearDamageNumbers();
+}
+
+export function areDamageNumbersEnabled() {
+    return damageNumbersEnabled;
+}
+
+/**
+ * Floats a damage number above a world position; it is re-projected every
+ * frame by updateDamageNumbers so it stays attached to the spot that was hit
+ * @param {Object} target - What was hit (quick successive hits on it are summed)
+ * @param {number} damage - Damage dealt
+ * @param {THREE.Vector3} position - World position to anchor the number to
+ * @param {Object} hit - { zone, killed } used for styling
+ */
+export function showDamageNumber(target, damage, position, { zone, killed = false }) {
+    const container = get('damageNumbers');
+    if (!damageNumbersEnabled || !container || damage <= 0) return;
+
+    let entry = damageNumbers.find(item => item.target === target && item.age < DAMAGE_MERGE_SECONDS);
+    if (!entry) {
+        if (damageNumbers.length >= MAX_DAMAGE_NUMBERS) {
+            removeDamageNumber(0);
+        }
+        const element = document.createElement('div');
+        element.className = 'damage-number';
+        container.appendChild(element);
+        entry = { target, element, damage: 0, age: 0, anchor: position.clone() };
+        damageNumbers.push(entry);
+    }
+
+    entry.damage += damage;
+    entry.element.textContent = `${Math.round(entry.damage)}`;
+    entry.element.classList.toggle('headshot', zone === 'head');
+    entry.element.classList.toggle('kill', killed);
+}
+
+/**
+ * Ages damage numbers and projects them to screen space
+ * @param {number} delta - Seconds since the last frame
+ * @param {THREE.Camera} camera - Camera to project through
+ */
+export function updateDamageNumbers(delta, camera) {
+    for (let i = damageNumbers.length - 1; i >= 0; i--) {
+        const entry = damageNumbers[i];
+        entry.age += delta;
+        if (entry.age >= DAMAGE_NUMBER_SECONDS) {
+            removeDamageNumber(i);
+            continue;
+        }
+
+        const t = entry.age / DAMAGE_NUMBER_SECONDS;
+        projected.copy(entry.anchor);
+        projected.y += DAMAGE_NUMBER_RISE * t;
+        projected.project(camera);
+
+        // Behind the camera
+        if (projected.z > 1) {
+            entry.element.style.display = 'none';
+            continue;
+        }
+
+        const x = (projected.x + 1) / 2 * window.innerWidth;
+        const y = (1 - projected.y) / 2 * window.innerHeight;
+        entry.element.style.display = 'block';
+        entry.element.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px) translate(-50%, -50%)`;
+        entry.element.style.opacity = `${Math.min(1, (1 - t) * 2.5)}`;
+    }
+}
+
+export function clearDamageNumbers() {
+    while (damageNumbers.length > 0) {
+        removeDamageNumber(damageNumbers.length - 1);
+    }
+}
+
+function removeDamageNumber(index) {
+    damageNumbers[index].element.remove();
+    damageNumbers.splice(index, 1);
+}
@@ -0,0 +1,108 @@
+/**
+ * Start-screen weapon cards
+ * Builds one card per registered weapon, in registry (manifest) order, with
+ * stat bars derived from the definitions rather than hand-tuned widths.
+ */
+
+import { getEffectiveDamage } from '../config/weapons.js';
+
+const DAMAGE_REFERENCE_RANGES = [2, 15, 60];
+
+function createStatBar(label, percent, title) {
+    const row = document.createElement('div');
+    if (title) row.title = title;
+    row.innerHTML = `${label}: <span class="stat-bar"><span class="stat-fill" style="width: ${Math.round(percent)}%;"></span></span>`;
+    return row;
+}
+
+function getShotsPerSecond(weapon) {
+    return 1000 / weapon.fireRate;
+}
+
+function getCardNote(weapon) {
+    if (weapon.type === 'melee') {
+        return weapon.maxTargets > 1 ? 'Melee · Cleave' : 'Melee';
+    }
+    const ammo = weapon.heatPerShot ? `Ammo: ${weapon.maxAmmo} · Heat` : `Ammo: ${weapon.maxAmmo}`;
+    return weapon.penetration?.depth > 0 ? `${ammo} · Pierce` : ammo;
+}
+
+// Effective damage per trigger pull at each reference range, scaled to the best in the registry
+function createDamageProfile(weaponType, peakDamage) {
+    const profile = document.createElement('div');
+    profile.className = 'damage-profile';
+
+    DAMAGE_REFERENCE_RANGES.forEach(distance => {
+        const damage = getEffectiveDamage(weaponType, distance);
+        const percent = peakDamage > 0 ? (damage / peakDamage) * 100 : 0;
+        profile.appendChild(createStatBar(`Dmg ${distance}m`, percent, `${Math.round(damage)} damage at ${distance}m`));
+    });
+
+    return profile;
+}
+
+/**
+ * Replaces the container's contents with a card per weapon
+ * @param {HTMLElement} container - The .weapon-selection element
+ * @param {Object} weapons - Weapon registry
+ */
+export function renderWeaponCards(container, weapons) {
+    if (!container) return;
+
+    const keys = Object.keys(weapons);
+    const peakDamage = Math.max(...keys.flatMap(key =>
+        DAMAGE_REFERENCE_RANGES.map(distance => getEffectiveDamage(key, distance))
+    ));
+    const peakRate = Math.max(...keys.map(key => getShotsPerSecond(weapons[key])));
+    const peakRange = Math.max(...keys.map(key => weapons[key].range));
+
+    container.innerHTML = '';
+    keys.forEach(key => {
+        const weapon = weapons[key];
+        const isMelee = weapon.type === 'melee';
+
+        const card = document.createElement('div');
+        card.className = 'weapon-card';
+        card.dataset.weapon = key;
+
+        const title = document.createElement('h3');
+        title.textContent = weapon.name;
+        card.appendChild(title);
+
+        const stats = document.createElement('div');
+        stats.className = 'weapon-stats';
+        stats.appendChild(createDamageProfile(key, peakDamage));
+        // Square roots keep slow weapons and short reaches readable next to the extremes
+        stats.appendChild(createStatBar(
+            isMelee ? 'Swing Rate' : 'Fire Rate',
+            Math.sqrt(getShotsPerSecond(weapon) / peakRate) * 100
+        ));
+        stats.appendChild(createStatBar(
+            isMelee ? 'Reach' : 'Range',
+            Math.sqrt(weapon.range / peakRange) * 100
+        ));
+
+        const note = document.createElement('div');
+        note.textContent = `${getCardNote(weapon)} · Key ${weapon.slot}`;
+        stats.appendChild(note);
+
+        card.appendChild(stats);
+        container.appendChild(card);
+    });
+}
+
+/**
+ * Shows a registry load/validation failure in place of the cards
+ * @param {HTMLElement} container - The .weapon-selection element
+ * @param {Error} error - Error thrown by loadWeaponRegistry()
+ */
+export function renderWeaponLoadError(container, error) {
+    if (!container) return;
+
+    const message = document.createElement('pre');
+    message.className = 'weapon-load-error';
+    message.textContent = error.message;
+
+    container.innerHTML = '';
+    container.appendChild(message);
+}